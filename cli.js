@@ -6,16 +6,65 @@ import fs from 'fs';
 import path from 'path';
 import os from 'os';
 import prompts from 'prompts';
-import { execSync } from 'child_process';
+import { spawn, spawnSync } from 'child_process';
+import readline from 'readline';
 import Table from 'cli-table3';
 import chalk from 'chalk'
+import {
+    CommandStore, DumbError, StoreReadError, StoreWriteError, StoreLockError, SyncConflictError, PROJECT_FILE_NAME, SCHEMA_VERSION,
+    getDefaultHome, writeFileAtomic, DEFAULT_PROFILE, validateProfileName, profileExists, createProfile, listProfiles,
+    normalizeTags, formatId, compareCommands, findCommandByIdOrAlias, isAliasUnique, validateAlias, commandsInScope,
+    detectShell, quoteForShell, parsePlaceholders, assignPlaceholderValues, parseEntryPlaceholders, describeSlot,
+    parseEnvAssignments, formatEnv, WORKFLOW_FAILURE_POLICIES, parseWorkflowStep, formatWorkflowStep,
+    summarizeWorkflow, findDependentWorkflows, rankCommands, EXPORT_FORMATS, IMPORT_CONFLICT_POLICIES,
+    normalizeCommandText, diffFields, diffWords, readImportFile, resolvePlaceholderSources, checkPlaceholderValue,
+    findReservedPlaceholders, DANGER_RULES, findDangers
+} from './index.js';
 
 const dumb = yargs(hideBin(process.argv));
 
 // --- Configuration ---
-const configDir = path.join(os.homedir(), '.dumbcli');
-const commandsFile = path.join(configDir, 'dumbcli.json');
-const configFilePath = path.join(configDir, 'config.json'); // For storing next ID
+const configDir = getDefaultHome(); // $DUMBCLI_HOME, else ~/.dumbcli
+const settingsFile = path.join(configDir, 'config.json'); // Shared settings: the active profile, dangerRules
+const historyFile = path.join(configDir, 'history.jsonl'); // One JSON object per executed command
+const MAX_HISTORY_ENTRIES = 5000;
+const MAX_HISTORY_BYTES = 4 * 1024 * 1024; // Trimmed once it grows past this (see appendHistory)
+const lastCommandsDir = path.join(configDir, 'last'); // Last command line per shell session (see `dumb init`)
+const logsDir = path.join(configDir, 'logs'); // Output of runs with --log, one file per run
+const MAX_LOG_FILES = 200;
+
+// Settings that apply to every profile. Unreadable settings fall back to defaults (doctor and
+// the danger rules report problems with the file where it matters).
+const readSettings = () => {
+    try {
+        return fs.existsSync(settingsFile) ? JSON.parse(fs.readFileSync(settingsFile, 'utf-8')) : {};
+    } catch {
+        return {};
+    }
+};
+
+// Merges `changes` into config.json under the store lock (the default profile keeps its nextId there too)
+const writeSettings = (changes) => store.withLock(() => {
+    try {
+        writeFileAtomic(settingsFile, JSON.stringify({ ...readSettings(), ...changes }, null, 2));
+    } catch (err) {
+        throw new StoreWriteError(settingsFile, err);
+    }
+});
+
+// The command store (dumbcli.json, config.json, the project store, locking and snapshots) lives
+// in the library (index.js); this file only presents it. `--store <file>` wins over
+// `--profile <name>`, which wins over the profile chosen with `dumb profile use`.
+const openStore = ({ storeFile, profile } = {}) => new CommandStore({
+    home: configDir,
+    ...(storeFile ? { commandsFile: storeFile } : { profile: profile || readSettings().profile || DEFAULT_PROFILE }),
+    onWarning: (message) => console.error(chalk.yellow(`⚠️ ${message}`))
+});
+
+let store = openStore(); // Reopened by the global options middleware
+
+// "profile work", "store file ~/sync/cmds.json"
+const describeActiveStore = () => store.profile ? `profile ${chalk.bold(store.profile)}` : `store file ${chalk.bold(store.commandsFile)}`;
 
 // --- Helper Functions ---
 
@@ -30,642 +79,3356 @@ const ensureConfigDirExists = () => {
   }
 };
 
-// Read/Write Config (for next ID)
-const readConfig = () => {
-    ensureConfigDirExists();
-    if (!fs.existsSync(configFilePath)) {
-        return { nextId: 1 }; // Start IDs from 1
+// Library errors are expected failures (unknown ID, alias taken, unreadable store...): print
+// them like any other failure instead of as a crash. Anything else is a bug and is rethrown.
+const reportError = (err) => {
+    if (!(err instanceof DumbError)) throw err;
+    fail(`❌ ${err.message}`);
+    if (err instanceof StoreReadError) {
+        // Not `dumb undo`: it rolls back dumb's own last change, which isn't what broke the file
+        console.error(chalk.yellow('   Nothing was changed. Fix the file by hand, or pick an earlier state with "dumb restore --list"'));
+        console.error(chalk.yellow('   (the damaged file is copied aside first).'));
+    } else if (err instanceof StoreLockError) {
+        console.error(chalk.yellow('   If no other dumb command is running, delete the lock file and try again.'));
+    }
+};
+
+// Wraps a yargs handler (sync or async) so library errors end up in reportError
+const handled = (handler) => async (argv) => {
+    try {
+        await handler(argv);
+    } catch (err) {
+        reportError(err);
+    }
+};
+
+const formatScope = (cmd) => cmd.scope === 'project' ? chalk.blue('project') : chalk.dim('global');
+
+const formatTags = (tags = []) => tags.map(tag => chalk.cyan(`#${tag}`)).join(' ');
+
+// Saving a directory that doesn't exist (yet) is allowed, but worth a heads-up. Placeholder paths
+// can only be checked at run time.
+const warnIfMissingCwd = (cmd) => {
+    if (!cmd.cwd || parsePlaceholders(cmd.cwd).slots.length > 0) return;
+    const dir = store.resolveCwd(cmd, cmd.cwd);
+    if (!fs.existsSync(dir)) console.log(chalk.yellow(`⚠️ Directory "${dir}" does not exist (yet); runs will fail until it does.`));
+};
+
+// `{env}`, `{sh}` and `{choice}` without an argument are asked for like any other placeholder
+const warnIfReservedPlaceholders = (command) => {
+    findReservedPlaceholders(command).forEach(slot => {
+        console.log(chalk.yellow(`⚠️ {${slot.name}} is an ordinary placeholder here; did you mean {${slot.name}:${slot.name === 'choice' ? 'a|b' : '...'}}?`));
+    });
+};
+
+// Human-readable workflow step, resolving references against the current commands.
+// `showCommand` appends the referenced command's text.
+const describeWorkflowStep = (step, commands, { showCommand = false } = {}) => {
+    const suffix = step.confirm ? chalk.dim(' (confirm)') : '';
+    if (step.run !== undefined) return `${chalk.dim('sh:')} ${step.run}${suffix}`;
+    const target = findCommandByIdOrAlias(step.ref, commands)?.command;
+    if (!target) return chalk.red(`#${step.ref} (missing)`) + suffix;
+    const args = step.args?.length ? ` ${step.args.join(' ')}` : '';
+    const text = showCommand ? ` ${chalk.dim(`→ ${target.command}`)}` : '';
+    return `#${formatId(target)}${target.alias ? ` ${chalk.magenta(target.alias)}` : ''}${args}${text}${suffix}`;
+};
+
+// --- Output Formats ---
+// Commands that print data (ls, find, show, history, dump...) can print it for scripts instead of
+// tables: the global --format json|plain|csv|table, where "table" is only the default on a terminal. "plain" is one
+// tab-separated line per record (for fzf, cut, awk), csv has a header row, json is an array.
+// While data goes to stdout, progress lines (see `status`) move to stderr.
+
+const OUTPUT_FORMATS = ['table', 'plain', 'csv', 'json'];
+let outputFormat = 'table'; // Set before each command runs (see setOutputFormat)
+
+// `format` or, without one, a table on a terminal and plain lines otherwise
+const setOutputFormat = (format) => {
+    outputFormat = format || (process.stdout.isTTY ? 'table' : 'plain');
+    if (outputFormat !== 'table') chalk.level = 0; // Data for other programs: no color codes
+};
+
+// A progress or status line that isn't the command's data
+const status = (...args) => (outputFormat === 'table' ? console.log : console.error)(...args);
+
+// Where prompts draw, for the same reason
+const promptOutput = () => outputFormat === 'table' ? process.stdout : process.stderr;
+
+// Print `records` in the current (non-table) format. `columns` are [header, record => value]
+// pairs for plain and csv; JSON gets the records as they are.
+const printData = (records, columns) => {
+    if (outputFormat === 'json') return console.log(JSON.stringify(records, null, 2));
+    const cellsOf = (record) => columns.map(([, get]) => {
+        const value = get(record);
+        if (value === undefined || value === null || value === false) return '';
+        return Array.isArray(value) ? value.join(',') : String(value);
+    });
+    if (outputFormat === 'csv') {
+        const quote = (cell) => /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+        return [columns.map(([header]) => header), ...records.map(cellsOf)].forEach(row => console.log(row.map(quote).join(',')));
     }
+    records.forEach(record => console.log(cellsOf(record).map(cell => cell.replace(/[\t\r\n]+/g, ' ')).join('\t')));
+};
+
+// A command as scripts see it: the stored fields, with the ID as typed on the command line (3, p3)
+const toRecord = (cmd) => ({ ...cmd, id: formatId(cmd) });
+
+const COMMAND_COLUMNS = [
+    ['id', cmd => cmd.id],
+    ['scope', cmd => cmd.scope],
+    ['alias', cmd => cmd.alias],
+    ['command', cmd => cmd.command],
+    ['comment', cmd => cmd.comment],
+    ['tags', cmd => cmd.tags]
+];
+
+// --- Execution History ---
+// Every run is appended to history.jsonl so we can tell which commands are used, broken or stale.
+
+// History entries identify commands by store + ID, since project IDs repeat across repos and
+// every profile (or --store file) counts its own IDs. The default profile keeps the plain "global".
+const getStoreKey = (cmd) => {
+    if (cmd.scope === 'project') return store.projectFile;
+    if (!store.profile) return `store:${store.commandsFile}`;
+    return store.profile === DEFAULT_PROFILE ? 'global' : `profile:${store.profile}`;
+};
+const isProjectStoreKey = (key) => key !== 'global' && !/^(profile|store):/.test(key);
+const getUsageKey = (store, id) => `${store}#${id}`;
+
+const readHistory = () => {
+    if (!fs.existsSync(historyFile)) return [];
     try {
-        const data = fs.readFileSync(configFilePath, 'utf-8');
-        return JSON.parse(data);
+        return fs.readFileSync(historyFile, 'utf-8')
+            .split('\n')
+            .filter(line => line.trim())
+            .map(line => { try { return JSON.parse(line); } catch { return null; } }) // Skip damaged lines
+            .filter(Boolean);
     } catch (err) {
-        console.error(chalk.red(`❌ Error reading config file ${configFilePath}. Using defaults.`), err);
-        return { nextId: 1 };
+        console.error(chalk.red(`❌ Error reading history file at ${historyFile}:`), err);
+        return [];
     }
 };
 
-const writeConfig = (config) => {
+// Appends go through the store lock too, so a trim can't drop a run recorded meanwhile. The size
+// is checked with a stat; only a file past MAX_HISTORY_BYTES is read back and cut down to the
+// newest MAX_HISTORY_ENTRIES runs, and to half that size, so trimming stays rare.
+const appendHistory = (entry) => {
     ensureConfigDirExists();
     try {
-        fs.writeFileSync(configFilePath, JSON.stringify(config, null, 2), 'utf-8');
+        store.withLock(() => {
+            fs.appendFileSync(historyFile, JSON.stringify(entry) + '\n', 'utf-8');
+            if (fs.statSync(historyFile).size <= MAX_HISTORY_BYTES) return;
+            const kept = [];
+            let size = 0;
+            for (const item of readHistory().slice(-MAX_HISTORY_ENTRIES).reverse()) {
+                const line = JSON.stringify(item) + '\n';
+                if (size + Buffer.byteLength(line) > MAX_HISTORY_BYTES / 2) break;
+                kept.unshift(line);
+                size += Buffer.byteLength(line);
+            }
+            writeFileAtomic(historyFile, kept.join(''));
+        });
     } catch (err) {
-        console.error(chalk.red(`❌ Error writing config file ${configFilePath}.`), err);
+        console.error(chalk.yellow(`⚠️ Could not record history in ${historyFile}:`), err.message);
     }
 };
 
+// Per-command usage: run count, last run, last failure. Keyed by getUsageKey().
+const getUsageStats = (history = readHistory()) => {
+    const stats = new Map();
+    history.forEach(entry => {
+        const key = getUsageKey(entry.store, entry.id);
+        const stat = stats.get(key) || { count: 0, lastRun: null, lastFailed: null, lastExitCode: null };
+        stat.count++;
+        stat.lastRun = entry.startedAt;
+        stat.lastExitCode = entry.exitCode;
+        if (entry.exitCode !== 0) stat.lastFailed = entry.startedAt;
+        stats.set(key, stat);
+    });
+    return stats;
+};
+
+const getCommandUsage = (cmd, stats) => stats.get(getUsageKey(getStoreKey(cmd), cmd.id)) || { count: 0, lastRun: null, lastFailed: null, lastExitCode: null };
 
-// Read/Write Commands (now with ID and Alias)
-const readCommands = () => {
-  ensureConfigDirExists(); // Ensure dir exists first
-  if (!fs.existsSync(commandsFile)) {
-    return [];
-  }
-  try {
-    const fileContent = fs.readFileSync(commandsFile, 'utf-8');
-    if (fileContent.trim() === '') {
-        return [];
+// Run counts for rankCommands' usage boost
+const usageCounter = (stats) => (cmd) => getCommandUsage(cmd, stats).count;
+
+// "30s", "5m", "1h", "250ms" or plain seconds -> milliseconds. Returns null for anything else.
+const parseDuration = (text) => {
+    const match = /^(\d+(?:\.\d+)?)(ms|s|m|h)?$/i.exec(String(text).trim());
+    if (!match) return null;
+    return Math.round(Number(match[1]) * { ms: 1, s: 1000, m: 60000, h: 3600000 }[(match[2] || 's').toLowerCase()]);
+};
+
+const formatDuration = (ms) => ms < 1000 ? `${ms}ms` : ms < 60000 ? `${(ms / 1000).toFixed(1)}s` : `${Math.floor(ms / 60000)}m${Math.round((ms % 60000) / 1000)}s`;
+
+const formatTimestamp = (iso) => iso ? new Date(iso).toLocaleString() : '—';
+
+// --- Harvest Sources ---
+// Parsers for `dumb harvest`. Each returns candidates `{ command, alias?, comment?, count }`,
+// most useful first. History sources are de-duplicated (counting repeats); script sources
+// (package.json, Makefile) come with an alias and comment already suggested.
+
+const readHistoryLines = (filePath) => {
+    if (!fs.existsSync(filePath)) throw new Error(`History file not found: ${filePath}`);
+    return fs.readFileSync(filePath, 'utf-8').split('\n');
+};
+
+// ~/.bash_history: one command per line, with `#<epoch>` lines when HISTTIMEFORMAT is set
+const parseBashHistory = (filePath) => readHistoryLines(filePath).filter(line => !/^#\d+$/.test(line));
+
+// ~/.zsh_history, plain or EXTENDED_HISTORY (`: <start>:<elapsed>;command`). Multi-line commands
+// end their lines with a backslash, and zsh "metafies" some bytes (0x83 followed by byte ^ 32).
+const parseZshHistory = (filePath) => {
+    if (!fs.existsSync(filePath)) throw new Error(`History file not found: ${filePath}`);
+    const raw = fs.readFileSync(filePath);
+    const bytes = [];
+    for (let i = 0; i < raw.length; i++) {
+        bytes.push(raw[i] === 0x83 && i + 1 < raw.length ? raw[++i] ^ 32 : raw[i]);
     }
-    const commands = JSON.parse(fileContent);
-    // Basic validation: ensure it's an array
-    if (!Array.isArray(commands)) {
-        console.error(chalk.red(`❌ Error: ${commandsFile} does not contain a valid JSON array.`));
-        console.error(chalk.yellow('   Returning empty command list. Consider backing up and fixing the file.'));
-        return [];
+    const commands = [];
+    let pending = null;
+    Buffer.from(bytes).toString('utf-8').split('\n').forEach(line => {
+        const text = pending === null ? line.replace(/^: \d+:\d+;/, '') : line;
+        if (text.endsWith('\\')) {
+            pending = (pending === null ? '' : pending) + text.slice(0, -1) + '\n';
+            return;
+        }
+        commands.push((pending || '') + text);
+        pending = null;
+    });
+    return commands;
+};
+
+// fish_history is YAML-like: `- cmd: <command>` with \n and \\ escaped
+const parseFishHistory = (filePath) => readHistoryLines(filePath)
+    .filter(line => line.startsWith('- cmd: '))
+    .map(line => line.slice(7).replace(/\\(\\|n)/g, (_, char) => char === 'n' ? '\n' : '\\'));
+
+const HISTORY_SOURCES = {
+    bash: { file: () => path.join(os.homedir(), '.bash_history'), parse: parseBashHistory },
+    zsh: { file: () => path.join(process.env.ZDOTDIR || os.homedir(), '.zsh_history'), parse: parseZshHistory },
+    fish: {
+        file: () => path.join(process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share'), 'fish', 'fish_history'),
+        parse: parseFishHistory
+    }
+};
+
+// Builtins and keywords never show up on PATH but are fine to save
+const SHELL_BUILTINS = new Set([
+    '.', ':', '[', 'alias', 'bg', 'builtin', 'case', 'cd', 'command', 'declare', 'echo', 'eval', 'exec', 'exit', 'export',
+    'fg', 'for', 'function', 'if', 'jobs', 'kill', 'let', 'local', 'popd', 'printf', 'pushd', 'read', 'set', 'source',
+    'test', 'time', 'trap', 'ulimit', 'umask', 'unset', 'until', 'wait', 'while'
+]);
+
+const pathLookupCache = new Map();
+const isOnPath = (program) => {
+    if (!pathLookupCache.has(program)) {
+        const extensions = process.platform === 'win32' ? (process.env.PATHEXT || '.EXE;.CMD;.BAT').split(';') : [''];
+        const found = (process.env.PATH || '').split(path.delimiter).filter(Boolean).some(dir =>
+            extensions.some(ext => {
+                try {
+                    fs.accessSync(path.join(dir, program + ext), fs.constants.X_OK);
+                    return true;
+                } catch {
+                    return false;
+                }
+            })
+        );
+        pathLookupCache.set(program, found);
     }
-    // Ensure essential fields exist (provide defaults if upgrading from old format)
-    return commands.map((cmd, index) => ({
-        id: cmd.id || index + 1, // Assign basic ID if missing (for migration)
-        alias: cmd.alias || false,
-        command: cmd.command || 'INVALID_COMMAND',
-        comment: cmd.comment || false,
-        // We might add `createdAt` later
+    return pathLookupCache.get(program);
+};
+
+// The program a command line starts with, skipping `VAR=value` prefixes
+const firstProgram = (command) => command.trim().split(/\s+/).find(word => !/^[A-Za-z_]\w*=/.test(word)) || '';
+
+// Drop what is clearly not worth offering: blank lines, bare one-word commands (`ls`, `clear`),
+// DumbCLI's own invocations, and anything whose program doesn't exist here (typos, failed attempts).
+const isHarvestableHistoryCommand = (command) => {
+    const program = firstProgram(command);
+    if (!program || program === 'dumb' || !/\s/.test(command.trim())) return false;
+    return SHELL_BUILTINS.has(program) || program.includes('/') || isOnPath(program);
+};
+
+const collectHistoryCandidates = (lines) => {
+    const counts = new Map(); // Insertion order is refreshed on repeats, so later = more recent
+    lines.map(line => line.trim()).filter(isHarvestableHistoryCommand).forEach(command => {
+        const count = (counts.get(command) || 0) + 1;
+        counts.delete(command);
+        counts.set(command, count);
+    });
+    return [...counts].reverse() // Most recent first, then the most frequent float up (stable sort)
+        .sort((a, b) => b[1] - a[1])
+        .map(([command, count]) => ({ command, count }));
+};
+
+// package.json scripts, run through the package manager the project's lockfile points to
+const parsePackageScripts = (filePath) => {
+    const { scripts = {} } = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    const dir = path.dirname(filePath);
+    const runner = fs.existsSync(path.join(dir, 'pnpm-lock.yaml')) ? 'pnpm run'
+        : fs.existsSync(path.join(dir, 'yarn.lock')) ? 'yarn run'
+        : fs.existsSync(path.join(dir, 'bun.lockb')) ? 'bun run'
+        : 'npm run';
+    const prefix = path.resolve(dir) === process.cwd() ? '' : `cd ${quoteForShell(path.relative(process.cwd(), dir) || '.', 'posix')} && `;
+    return Object.entries(scripts).map(([name, script]) => ({
+        command: `${prefix}${runner} ${name}`,
+        alias: name.replace(/[\s:]+/g, '-'),
+        comment: String(script),
+        count: 1
     }));
-  } catch (err) {
-    if (err instanceof SyntaxError) {
-      console.error(chalk.red(`❌ Error: Could not parse ${commandsFile}. It might be corrupted JSON.`));
+};
+
+// Makefile targets, skipping special (.PHONY) and pattern (%) rules. A `## text` comment on the
+// target line or the line above it becomes the description.
+const parseMakefileTargets = (filePath) => {
+    const lines = fs.readFileSync(filePath, 'utf-8').split('\n');
+    const dir = path.dirname(filePath);
+    const prefix = path.resolve(dir) === process.cwd() ? 'make' : `make -C ${quoteForShell(path.relative(process.cwd(), dir), 'posix')}`;
+    const targets = [];
+    lines.forEach((line, index) => {
+        const match = line.match(/^([A-Za-z0-9_][\w./-]*(?:\s+[A-Za-z0-9_][\w./-]*)*)\s*:(?![=:])(.*)$/);
+        if (!match) return;
+        const docComment = match[2].match(/##\s*(.+)$/)?.[1] || lines[index - 1]?.match(/^##\s*(.+)$/)?.[1] || '';
+        match[1].split(/\s+/).forEach(target => {
+            if (!targets.some(existing => existing.alias === target)) {
+                targets.push({ command: `${prefix} ${target}`, alias: target, comment: docComment.trim(), count: 1 });
+            }
+        });
+    });
+    return targets;
+};
+
+// A short alias from a history command: the program plus its first plain subcommand (`docker-compose`)
+const suggestAlias = (command) => {
+    const words = command.trim().split(/\s+/).filter(word => !/^[A-Za-z_]\w*=/.test(word));
+    const program = path.basename(words[0] || '');
+    const subcommand = words.slice(1).find(word => /^[A-Za-z][\w-]*$/.test(word));
+    return [program, subcommand].filter(Boolean).join('-').replace(/[^\w-]/g, '');
+};
+
+// Append -2, -3... until the alias is free in `scopeCommands` and not in `taken`
+const uniqueAlias = (alias, scopeCommands, taken = new Set()) => {
+    if (!alias) return '';
+    let candidate = alias;
+    for (let suffix = 2; !isAliasUnique(candidate, scopeCommands) || taken.has(candidate.toLowerCase()); suffix++) {
+        candidate = `${alias}-${suffix}`;
+    }
+    return candidate;
+};
+
+// --- Shell Completion ---
+// `dumb completion <shell>` prints a script that calls back into the hidden `dumb __complete` on
+// every Tab: `dumb __complete <index> -- <words after "dumb">`, where words[index] is the word being
+// completed (missing when it is still empty). It prints one `value<TAB>description` per line.
+// Subcommands and flags come from the command definitions below, so new options complete for free.
+
+const SPECIFIER_COMMANDS = ['run', 'show', 'edit', 'dl', 'tag', 'history', 'log', 'diff', 'revert', 'logs']; // First positional is an ID or alias
+
+const COMPLETION_SCRIPTS = {
+    bash: `# dumb completion for bash. Add to ~/.bashrc:  eval "$(dumb completion bash)"
+_dumb_completions() {
+    local IFS=$'\\n'
+    local cur="\${COMP_WORDS[COMP_CWORD]}"
+    COMPREPLY=($(compgen -W "$(dumb __complete "$((COMP_CWORD - 1))" -- "\${COMP_WORDS[@]:1:COMP_CWORD}" 2>/dev/null | cut -f1)" -- "$cur"))
+}
+complete -o default -F _dumb_completions dumb
+`,
+    zsh: `#compdef dumb
+# dumb completion for zsh. Add to ~/.zshrc:  eval "$(dumb completion zsh)"
+_dumb() {
+    local -a candidates
+    local line
+    for line in "\${(@f)$(dumb __complete "$((CURRENT - 2))" -- "\${(@)words[2,CURRENT]}" 2>/dev/null)}"; do
+        [[ -n $line ]] || continue
+        candidates+=("\${\${line%%$'\\t'*}//:/\\\\:}:\${line#*$'\\t'}")
+    done
+    if (( \${#candidates} )); then
+        _describe -t commands 'dumb' candidates
+    else
+        _files
+    fi
+}
+compdef _dumb dumb
+`,
+    fish: `# dumb completion for fish. Save as ~/.config/fish/completions/dumb.fish, or:  dumb completion fish | source
+function __dumb_complete
+    set -l words (commandline -opc)[2..-1]
+    dumb __complete (count $words) -- $words (commandline -ct) 2>/dev/null
+end
+complete -c dumb -f -a '(__dumb_complete)'
+complete -c dumb -n '__fish_seen_subcommand_from import export harvest' -F
+`,
+    powershell: `# dumb completion for PowerShell. Add to $PROFILE:  dumb completion powershell | Out-String | Invoke-Expression
+Register-ArgumentCompleter -Native -CommandName dumb -ScriptBlock {
+    param($wordToComplete, $commandAst, $cursorPosition)
+    $words = @($commandAst.CommandElements | Select-Object -Skip 1 | ForEach-Object { $_.ToString() })
+    $index = if ($wordToComplete) { $words.Count - 1 } else { $words.Count }
+    dumb __complete $index '--' @words 2>$null | ForEach-Object {
+        $value, $description = $_ -split "\`t", 2
+        [System.Management.Automation.CompletionResult]::new($value, $value, 'ParameterValue', $(if ($description) { $description } else { $value }))
+    }
+}
+`
+};
+
+// One line for a completion description (comments can hold tabs or newlines)
+const completionText = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+
+// Visible subcommands with their aliases, positionals and builder, from the definitions below
+const readCompletableCommands = () => commandDefinitions
+    .filter(({ description }) => description !== false)
+    .map(({ command, description, builder }) => {
+        const [usage, ...aliases] = [].concat(command);
+        return {
+            name: usage.split(' ')[0],
+            aliases: aliases.map(alias => alias.split(' ')[0]),
+            positionals: [...usage.matchAll(/[<[](\w+)(?:\.\.)?[>\]]/g)].map(match => match[1]),
+            description,
+            builder
+        };
+    });
+
+// Flags of yargs option definitions ({ key: options }) as { flag, names, key, description, boolean,
+// choices }, long names preferred
+const describeOptions = (definitions) => Object.entries(definitions).map(([key, option]) => {
+    const names = [key, ...[].concat(option.alias || [])];
+    const long = names.find(name => name.length > 1) || key;
+    return {
+        flag: `${long.length > 1 ? '--' : '-'}${long}`,
+        names,
+        key,
+        description: completionText(option.describe),
+        boolean: option.type === 'boolean',
+        choices: option.choices
+    };
+});
+
+// Options a subcommand defines (positionals included, marked as such). Its builder runs against a
+// stand-in that notes every option and positional and takes any other call (conflicts, strict...).
+const getCommandOptions = (command) => {
+    const definitions = {};
+    const recorder = new Proxy({}, {
+        get: (target, method) => (...args) => {
+            if (method === 'option' || method === 'positional') definitions[args[0]] = args[1] || {};
+            if (method === 'options') Object.assign(definitions, args[0]);
+            return recorder;
+        }
+    });
+    if (typeof command.builder === 'function') command.builder(recorder);
+    else if (command.builder && typeof command.builder === 'object') Object.assign(definitions, command.builder);
+    return describeOptions(definitions).map(option => ({ ...option, positional: command.positionals.includes(option.key) }));
+};
+
+// Candidates for `words[index]`, as [value, description] pairs filtered by what's typed so far
+const completeWords = (index, words) => {
+    const current = words[index] || '';
+    const before = words.slice(0, index);
+    const commands = readCompletableCommands();
+    const globalOptions = describeOptions({ ...GLOBAL_OPTIONS, ...BUILTIN_OPTIONS });
+    // The first word that is neither a flag nor the value of a global flag (--profile work)
+    const takesValue = (word) => word?.startsWith('--') && !word.includes('=') && globalOptions.some(option => option.flag === word && !option.boolean);
+    const subcommandWord = before.find((word, position) => !word.startsWith('-') && !takesValue(before[position - 1]));
+    const command = subcommandWord && commands.find(cmd => cmd.name === subcommandWord || cmd.aliases.includes(subcommandWord));
+    const matches = (candidates) => candidates.filter(([value]) => value.toLowerCase().startsWith(current.toLowerCase()));
+
+    // Values of global flags, wherever they appear
+    const lastWord = before[before.length - 1];
+    if (lastWord === '--profile') return matches(listProfiles(configDir).map(profile => [profile, '']));
+    if (takesValue(lastWord)) return matches((globalOptions.find(option => option.flag === lastWord).choices || []).map(choice => [String(choice), '']));
+    if (!subcommandWord) {
+        return matches(current.startsWith('-')
+            ? globalOptions.map(option => [option.flag, option.description])
+            : commands.map(cmd => [cmd.name, completionText(cmd.description)]));
+    }
+    if (!command) return [];
+
+    const commandOptions = getCommandOptions(command);
+    const options = [...commandOptions.filter(option => !option.positional), ...globalOptions];
+    const findOption = (word) => {
+        const name = word.replace(/^-+/, '').replace(/^no-/, '');
+        return options.find(option => option.names.includes(name));
+    };
+    // The value of a flag: its choices if it has any, otherwise leave it to the shell
+    const previous = before[before.length - 1];
+    const previousOption = previous && previous !== subcommandWord && previous.startsWith('-') && !previous.includes('=') ? findOption(previous) : null;
+    if (previousOption && !previousOption.boolean) {
+        return matches((previousOption.choices || []).map(choice => [String(choice), '']));
+    }
+    if (current.startsWith('-')) return matches(options.map(option => [option.flag, option.description]));
+
+    // Positionals typed so far, skipping flags and the values they took
+    const positionals = [];
+    const afterSubcommand = before.slice(before.indexOf(subcommandWord) + 1);
+    afterSubcommand.forEach((word, position) => {
+        if (word.startsWith('-')) return;
+        const flag = afterSubcommand[position - 1];
+        if (flag?.startsWith('-') && !flag.includes('=') && findOption(flag) && !findOption(flag).boolean) return;
+        positionals.push(word);
+    });
+
+    // IDs and aliases from the store the finished command line will use
+    const flagValue = (flag) => before.includes(flag) ? before[before.indexOf(flag) + 1] : undefined;
+    if (flagValue('--store') || flagValue('--profile')) {
+        try {
+            store = openStore({ storeFile: flagValue('--store'), profile: flagValue('--profile') });
+        } catch {
+            return []; // Not a valid profile name (yet)
+        }
+    }
+    const stored = store.load();
+    if (SPECIFIER_COMMANDS.includes(command.name) && positionals.length === 0) {
+        return matches(stored.flatMap(cmd => {
+            const description = completionText(cmd.comment || cmd.command);
+            return [
+                [formatId(cmd), completionText(`${cmd.alias ? `${cmd.alias}: ` : ''}${description}`)],
+                ...(cmd.alias ? [[cmd.alias, description]] : [])
+            ];
+        }));
+    }
+    if (command.name === 'profile' && positionals.length === 1 && positionals[0] === 'use') {
+        return matches(listProfiles(configDir).map(profile => [profile, '']));
+    }
+    if (command.name === 'run' && positionals.length > 0) {
+        // Named placeholders not given yet, as name=value hints
+        const target = findCommandByIdOrAlias(positionals[0], stored)?.command;
+        if (!target || target.type === 'workflow') return [];
+        const given = new Set(positionals.slice(1).map(arg => arg.split('=')[0]));
+        return matches(parseEntryPlaceholders(target).slots
+            .filter(slot => slot.name && !given.has(slot.name))
+            .map(slot => [`${slot.name}=`, slot.defaultValue !== undefined ? `default: ${slot.defaultValue}` : `value for {${slot.name}}`]));
+    }
+    const positionalName = command.positionals[positionals.length];
+    const choices = positionalName && commandOptions.find(option => option.key === positionalName)?.choices;
+    return matches((choices || []).map(choice => [String(choice), '']));
+};
+
+// --- Shell Integration ---
+// `dumb init <shell>` prints a hook that, after every command, writes its exit status and command
+// line to ~/.dumbcli/last/<session> (first line: status, rest: the command). `dumb save-last` reads
+// it back. Sessions are keyed by the shell's PID so two terminals don't see each other's commands,
+// and `dumb ...` lines are never recorded, so `dumb ls` before `dumb save-last` doesn't get in the way.
+
+const STALE_SESSION_MS = 7 * 24 * 60 * 60 * 1000;
+
+const INIT_HOOKS = {
+    bash: (dir) => `# dumb shell integration for bash. Add to ~/.bashrc:  eval "$(dumb init bash)"
+export DUMBCLI_SESSION=$$
+__dumb_record_last() {
+    local exit_status=$?
+    local cmd
+    cmd=$(HISTTIMEFORMAT= builtin history 1 | sed -e 's/^ *[0-9]*[* ] *//')
+    case "$cmd" in
+        ""|dumb|"dumb "*) ;;
+        *) mkdir -p ${dir} && printf '%s\\n%s\\n' "$exit_status" "$cmd" > ${dir}/"$DUMBCLI_SESSION" ;;
+    esac
+    return $exit_status
+}
+case "$PROMPT_COMMAND" in
+    *__dumb_record_last*) ;;
+    *) PROMPT_COMMAND="__dumb_record_last\${PROMPT_COMMAND:+; $PROMPT_COMMAND}" ;;
+esac
+`,
+    zsh: (dir) => `# dumb shell integration for zsh. Add to ~/.zshrc:  eval "$(dumb init zsh)"
+export DUMBCLI_SESSION=$$
+__dumb_preexec() { __dumb_last_cmd=$1 }
+__dumb_precmd() {
+    local exit_status=$?
+    case "$__dumb_last_cmd" in
+        ""|dumb|"dumb "*) ;;
+        *) mkdir -p ${dir} && print -r -- "$exit_status"$'\\n'"$__dumb_last_cmd" > ${dir}/"$DUMBCLI_SESSION" ;;
+    esac
+    __dumb_last_cmd=
+}
+autoload -Uz add-zsh-hook
+add-zsh-hook preexec __dumb_preexec
+add-zsh-hook precmd __dumb_precmd
+`,
+    fish: (dir) => `# dumb shell integration for fish. Add to ~/.config/fish/config.fish:  dumb init fish | source
+set -gx DUMBCLI_SESSION $fish_pid
+function __dumb_record_last --on-event fish_postexec
+    set -l exit_status $status
+    if test -z "$argv[1]"; or string match -qr '^dumb(\\s|$)' -- $argv[1]
+        return
+    end
+    mkdir -p ${dir}; and printf '%s\\n%s\\n' $exit_status "$argv[1]" > ${dir}/$DUMBCLI_SESSION
+end
+`
+};
+
+// The last command recorded in this shell session: { command, exitCode }, or null if there is none
+// (or the hook isn't set up). Also clears out files left behind by long-gone sessions.
+const readLastCommand = () => {
+    const session = process.env.DUMBCLI_SESSION;
+    if (!session || !/^\d+$/.test(session)) return null;
+    if (fs.existsSync(lastCommandsDir)) {
+        fs.readdirSync(lastCommandsDir).forEach(name => {
+            const filePath = path.join(lastCommandsDir, name);
+            try {
+                if (name !== session && Date.now() - fs.statSync(filePath).mtimeMs > STALE_SESSION_MS) fs.rmSync(filePath, { force: true });
+            } catch { /* Another dumb cleaned it up first */ }
+        });
+    }
+    const filePath = path.join(lastCommandsDir, session);
+    if (!fs.existsSync(filePath)) return null;
+    const [status, ...lines] = fs.readFileSync(filePath, 'utf-8').replace(/\n+$/, '').split('\n');
+    const command = lines.join('\n').trim();
+    return command ? { command, exitCode: Number(status) } : null;
+};
+
+// Placeholder name for a literal that shows up more than once in a command
+const suggestPlaceholderName = (token, taken) => {
+    const base = /^v?\d+(?:\.\d+)+/.test(token) ? 'version'
+        : /^\d+$/.test(token) ? 'number'
+        : token.includes('/') ? 'path'
+        : 'value';
+    let name = base;
+    for (let suffix = 2; taken.has(name); suffix++) name = `${base}${suffix}`;
+    taken.add(name);
+    return name;
+};
+
+// Literal words used more than once (a branch name, a version, an image tag...) are usually what
+// changes next time. Returns [{ token, count, name }]; program names and flags are left out.
+const findRepeatedLiterals = (command) => {
+    const existing = new Set(parsePlaceholders(command).slots.map(slot => slot.name).filter(Boolean));
+    const programs = new Set(command.split(/&&|\|\||[;|]/).map(segment => segment.trim().split(/\s+/)[0]));
+    const counts = new Map();
+    command.split(/\s+/)
+        .map(word => word.replace(/^["']|["']$/g, ''))
+        .filter(word => word.length >= 2 && !word.startsWith('-') && !programs.has(word) && /^[\w@%+=:,./-]+$/.test(word) && !/^(?:&&|\|\|)$/.test(word))
+        .forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+    return [...counts].filter(([, count]) => count > 1)
+        .map(([token, count]) => ({ token, count, name: suggestPlaceholderName(token, existing) }));
+};
+
+// Replace every whole-word occurrence of `token` with `{name}`; the first keeps the literal as its default
+const replaceLiteralWithPlaceholder = (command, { token, name }) => {
+    let first = true;
+    const escaped = token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return command.replace(new RegExp(`(?<=^|[\\s"'])${escaped}(?=$|[\\s"'])`, 'g'), () => {
+        const placeholder = first ? `{${name}:${token}}` : `{${name}}`;
+        first = false;
+        return placeholder;
+    });
+};
+
+// --- Dangerous Commands ---
+// Commands matching a danger rule (see DANGER_RULES) or marked `protected` only run after their
+// alias or ID is typed in. More rules can be added as `dangerRules` in config.json: regex strings,
+// or { "pattern", "flags", "reason" } objects.
+
+// Built-in rules plus the user's `dangerRules`, compiled once per process. Broken user rules are
+// reported and skipped.
+let dangerRulesCache = null;
+const getDangerRules = () => {
+    if (dangerRulesCache) return dangerRulesCache;
+    const userRules = readSettings().dangerRules;
+    if (!Array.isArray(userRules)) return (dangerRulesCache = DANGER_RULES);
+    return (dangerRulesCache = DANGER_RULES.concat(userRules.flatMap((rule, index) => {
+        const { pattern, flags = 'i', reason, name } = typeof rule === 'string' ? { pattern: rule } : (rule || {});
+        try {
+            return [{ name: name || `config #${index + 1}`, pattern: new RegExp(pattern, flags), reason: reason || `matches your rule /${pattern}/` }];
+        } catch (err) {
+            console.log(chalk.yellow(`⚠️ Ignoring dangerRules[${index}] in ${settingsFile}: ${err.message}`));
+            return [];
+        }
+    })));
+};
+
+const formatDangers = (dangers) => dangers.map(rule => `${rule.reason} (${rule.name})`).join('; ');
+
+// --- Interaction Helpers ---
+// Every prompt goes through these so DumbCLI can run from scripts and CI: `--yes` answers
+// confirmations, and without a terminal on stdin we fail fast instead of waiting forever.
+
+let assumeYes = false; // Set from the global --yes flag
+
+const isInteractive = () => Boolean(process.stdin.isTTY);
+
+// Print an error and make the process exit non-zero once the handler returns.
+const fail = (message) => {
+    console.error(chalk.red(message));
+    process.exitCode = 1;
+};
+
+// prompts() wrapper: returns null (with an explanation) when there is no terminal to ask on.
+const ask = async (questions, nonInteractiveHint) => {
+    if (!isInteractive()) {
+        fail('❌ Input required, but stdin is not a terminal.');
+        if (nonInteractiveHint) console.error(chalk.yellow(`   Use the non-interactive form instead, e.g.: ${nonInteractiveHint}`));
+        return null;
+    }
+    return prompts(questions);
+};
+
+// Yes/no confirmation honoring --yes. Never blocks without a terminal.
+const confirmAction = async (message, initial = false) => {
+    if (assumeYes) return true;
+    if (!isInteractive()) {
+        fail('❌ Confirmation required, but stdin is not a terminal. Re-run with --yes to proceed.');
+        return false;
+    }
+    const confirm = await prompts({ type: 'confirm', name: 'value', message, initial, stdout: promptOutput() });
+    return Boolean(confirm.value);
+};
+
+// Whether `token` is the command's ID or alias (case-insensitive), as typed to confirm a risky run
+const matchesCommand = (cmd, token) =>
+    [formatId(cmd), cmd.alias].some(name => name && String(name).toLowerCase() === String(token).toLowerCase());
+
+const describeRunRisk = (cmd, dangers) =>
+    [cmd.protected && 'it is protected', dangers.length > 0 && `it ${formatDangers(dangers)}`].filter(Boolean).join(', and ');
+
+// Run confirmation. Dangerous or protected commands must have their alias or ID typed in: --yes
+// doesn't cover them, only `confirmAs` (from `run --confirm <alias|ID>`) naming the same command does.
+const confirmRun = async (cmd, message, { dangers = [], confirmAs } = {}) => {
+    if (!cmd.protected && dangers.length === 0) return confirmAction(message, true);
+
+    const expected = cmd.alias || formatId(cmd);
+    const why = describeRunRisk(cmd, dangers);
+    if (confirmAs !== undefined) {
+        if (matchesCommand(cmd, confirmAs)) return true;
+        fail(`❌ --confirm "${confirmAs}" does not match #${formatId(cmd)}${cmd.alias ? ` (${cmd.alias})` : ''}.`);
+        return false;
+    }
+    if (!isInteractive()) {
+        fail(`❌ #${formatId(cmd)} needs typed confirmation because ${why}. Pass --confirm ${expected} to run it without a terminal.`);
+        return false;
+    }
+    status(chalk.red.bold(`⚠️ Careful: ${why}.`));
+    const response = await prompts({ type: 'text', name: 'value', message: `${message}\n  Type ${chalk.bold(expected)} to run it`, stdout: promptOutput() });
+    if (response.value === undefined) return false;
+    if (matchesCommand(cmd, response.value.trim())) return true;
+    status(chalk.yellow(`⚠️ "${response.value}" doesn't match.`));
+    return false;
+};
+
+// --- Command Implementation Functions ---
+
+// Add Command Logic
+// With `fields.command` set (flags or power syntax) the command is saved directly; otherwise
+// the interactive form opens, pre-filled with whatever fields were given. `review` opens the
+// form even when the command is known (save-last), as long as there is a terminal to ask on.
+const handleAddCommand = async (fields = {}, { project = false, review = false } = {}) => {
+    const commands = store.load();
+    const scope = project ? 'project' : 'global';
+    const scopeCommands = commandsInScope(commands, scope);
+
+    if (project) {
+        console.log(chalk.blue(`📁 Adding to project store: ${store.projectFile || store.projectFileTarget()}`));
+    }
+
+    let response;
+    if (typeof fields.command === 'string' && !(review && isInteractive() && !assumeYes)) {
+        response = {
+            command: fields.command, alias: fields.alias || '', comment: fields.comment || '', tags: fields.tags || '',
+            cwd: fields.cwd || '', env: fields.env || [], protected: Boolean(fields.protected)
+        };
+        const problem = response.command.trim()
+            ? validateAlias(response.alias, scopeCommands)
+            : 'Command cannot be empty.';
+        if (problem !== true) {
+            return fail(`❌ ${problem}`);
+        }
     } else {
-      console.error(chalk.red(`❌ Error reading commands file at ${commandsFile}:`), err);
+        response = await ask([
+            {
+                type: 'text',
+                name: 'command',
+                message: 'Enter the full command (use {} or {name[:default]} for dynamic parts, {!name} for raw)',
+                initial: fields.command || '',
+                validate: value => value.trim() ? true : 'Command cannot be empty.'
+            },
+            {
+                type: 'text',
+                name: 'alias',
+                message: `Enter a short alias (optional, unique, no spaces/colons)`,
+                initial: fields.alias || '',
+                validate: value => validateAlias(value, scopeCommands)
+            },
+            {
+                type: 'text',
+                name: 'comment',
+                message: 'Enter a comment (optional)',
+                initial: fields.comment || ''
+            },
+            {
+                type: 'text',
+                name: 'tags',
+                message: 'Enter tags (optional, comma-separated)',
+                initial: normalizeTags(fields.tags).join(', ')
+            },
+            {
+                type: 'text',
+                name: 'cwd',
+                message: 'Run in directory (optional, ~ and placeholders allowed)',
+                initial: fields.cwd || ''
+            },
+            {
+                type: 'text',
+                name: 'env',
+                message: 'Environment variables (optional, e.g. NODE_ENV=production DEBUG=1)',
+                initial: fields.env ? formatEnv(parseEnvAssignments(fields.env)) : '',
+                validate: value => {
+                    try {
+                        parseEnvAssignments(value);
+                        return true;
+                    } catch (err) {
+                        return err.message;
+                    }
+                }
+            },
+            {
+                type: 'confirm',
+                name: 'protected',
+                message: 'Protect it (always type its alias or ID to run it)?',
+                initial: Boolean(fields.protected)
+            }
+        ], 'dumb add --command "<command>" [--alias <alias>] [--comment <text>] [--tags a,b] [--cwd <dir>] [--env KEY=value] [--protected]');
+        if (!response) return; // Not a terminal; ask() already explained why
+    }
+
+    // Handle Ctrl+C or empty essential fields
+    if (!response.command) {
+        console.log(chalk.yellow('⚠️ Add command canceled.'));
+        return;
+    }
+
+    warnIfMissingCwd({ cwd: response.cwd?.trim(), scope });
+    warnIfReservedPlaceholders(response.command);
+
+    const saved = store.add(response, { scope });
+    const alias = saved.alias;
+    console.log(chalk.green(`✔️ Command added successfully (ID: ${formatId(saved)}${alias ? `, Alias: ${alias}` : ''}).`));
+    const dangers = findDangers(response.command, getDangerRules());
+    if (dangers.length > 0) {
+        console.log(chalk.yellow(`⚠️ This command ${formatDangers(dangers)}; "dumb run" will ask you to type its ${alias ? 'alias' : 'ID'} to confirm.`));
+    }
+    if (alias && scope === 'global' && !isAliasUnique(alias, commandsInScope(commands, 'project'))) {
+        console.log(chalk.yellow(`⚠️ The project store also uses alias "${alias}"; it takes precedence inside this project.`));
+    }
+};
+
+
+// Workflow Add/Edit Logic
+// `dumb workflow add` creates a workflow; `dumb workflow edit <id>` replaces its steps, policy or details.
+// Steps come from --step specs (see parseWorkflowStep) or are asked for one by one.
+const handleWorkflowSave = async (specifier, { steps: stepSpecs = [], alias, comment, tags, onFailure, project = false } = {}) => {
+    const commands = store.load();
+    let existing = null;
+    if (specifier) {
+        existing = findCommandByIdOrAlias(specifier, commands)?.command;
+        if (!existing) return fail(`❌ Command with ID or Alias "${specifier}" not found.`);
+        if (existing.type !== 'workflow') return fail(`❌ #${formatId(existing)} is a regular command; use "dumb edit ${specifier}" instead.`);
+    }
+    const scope = existing ? existing.scope : project ? 'project' : 'global';
+    const scopeCommands = commandsInScope(commands, scope);
+    const checkStep = (spec) => {
+        try {
+            return parseWorkflowStep(spec, commands, scope);
+        } catch (err) {
+            return err;
+        }
+    };
+
+    let specs = stepSpecs;
+    if (specs.length === 0) {
+        console.log(chalk.dim('Steps: an ID or alias with optional arguments (e.g. "migrate env=prod"), or "sh:<command>".'));
+        console.log(chalk.dim('Prefix a step with "?" to confirm it before it runs. Leave blank to finish.'));
+        const previous = existing ? existing.steps.map(formatWorkflowStep) : [];
+        specs = [];
+        for (let number = 1; ; number++) {
+            const response = await ask({
+                type: 'text',
+                name: 'spec',
+                message: `Step ${number}`,
+                initial: previous[number - 1] || '',
+                validate: value => {
+                    if (!value.trim()) return true; // Blank finishes the list
+                    const step = checkStep(value);
+                    return step instanceof Error ? step.message : true;
+                }
+            }, `dumb workflow ${existing ? `edit ${specifier}` : 'add'} --step "<id|alias> [args]" --step "sh:<command>" [--alias <alias>]`);
+            if (!response) return; // Not a terminal; ask() already explained why
+            if (response.spec === undefined) return console.log(chalk.yellow('⚠️ Workflow canceled.'));
+            if (!response.spec.trim()) break;
+            specs.push(response.spec);
+        }
+    }
+    const steps = [];
+    for (const spec of specs) {
+        const step = checkStep(spec);
+        if (step instanceof Error) return fail(`❌ ${step.message}`);
+        steps.push(step);
+    }
+    if (steps.length === 0) return fail('❌ A workflow needs at least one step.');
+
+    if (!existing && alias === undefined && comment === undefined && stepSpecs.length === 0) {
+        const details = await prompts([
+            { type: 'text', name: 'alias', message: 'Enter a short alias (optional, unique, no spaces/colons)', validate: value => validateAlias(value, scopeCommands) },
+            { type: 'text', name: 'comment', message: 'Enter a comment (optional)' }
+        ]);
+        if (details.comment === undefined) return console.log(chalk.yellow('⚠️ Workflow canceled.'));
+        ({ alias, comment } = details);
+    }
+    if (alias) {
+        const problem = validateAlias(alias, scopeCommands, existing?.id);
+        if (problem !== true) return fail(`❌ ${problem}`);
     }
-    console.error(chalk.yellow('   Returning empty command list due to error.'));
-    return [];
+
+    const changes = {
+        type: 'workflow',
+        command: summarizeWorkflow(steps),
+        steps,
+        onFailure: onFailure || existing?.onFailure || 'stop',
+        ...(alias !== undefined && { alias: alias.trim() || false }),
+        ...(comment !== undefined && { comment: comment.trim() || false }),
+        ...(tags !== undefined && { tags: normalizeTags(tags) })
+    };
+    const saved = existing ? store.update(existing, changes) : store.add(changes, { scope });
+    console.log(chalk.green(`✔️ Workflow ${existing ? 'updated' : 'added'} (ID: ${formatId(saved)}, ${steps.length} steps, ${changes.onFailure} on failure).`));
+};
+
+
+// List Command Logic
+// `filter.tags` keeps commands carrying all of the given tags; `filter.untagged` keeps those with none.
+// `filter.sort` ('usage' | 'recent') orders by run history and adds Runs/Last Run columns.
+const handleListCommands = (filter = {}) => {
+  let commands = store.load();
+  if (commands.length === 0 && outputFormat === 'table') return console.log(chalk.yellow('ℹ️ No commands saved yet. Use "dumb add" to add one.'));
+
+  const wantedTags = normalizeTags(filter.tags);
+  if (wantedTags.length > 0) {
+      commands = commands.filter(cmd => wantedTags.every(tag => cmd.tags.includes(tag)));
+  }
+  if (filter.untagged) {
+      commands = commands.filter(cmd => cmd.tags.length === 0);
   }
+  if (commands.length === 0 && outputFormat === 'table') {
+      return console.log(chalk.yellow(`ℹ️ No commands match ${filter.untagged ? 'the untagged filter' : formatTags(wantedTags)}.`));
+  }
+
+  const usageStats = filter.sort ? getUsageStats() : null;
+  // Sort by scope, then ID for display consistency (or by usage/recency when asked)
+  const sortedCommands = commands.sort(compareCommands);
+  if (filter.sort === 'usage') {
+      sortedCommands.sort((a, b) => getCommandUsage(b, usageStats).count - getCommandUsage(a, usageStats).count);
+  } else if (filter.sort === 'recent') {
+      sortedCommands.sort((a, b) => (getCommandUsage(b, usageStats).lastRun || '').localeCompare(getCommandUsage(a, usageStats).lastRun || ''));
+  }
+
+  if (outputFormat !== 'table') {
+      const records = sortedCommands.map(cmd => usageStats
+          ? { ...toRecord(cmd), runs: getCommandUsage(cmd, usageStats).count, lastRun: getCommandUsage(cmd, usageStats).lastRun }
+          : toRecord(cmd));
+      return printData(records, usageStats ? [...COMMAND_COLUMNS, ['runs', cmd => cmd.runs], ['lastRun', cmd => cmd.lastRun]] : COMMAND_COLUMNS);
+  }
+
+  const table = new Table({
+      head: [chalk.bold('ID'), chalk.bold('Scope'), chalk.bold('Alias'), chalk.bold('Command'), chalk.bold('Comment')]
+          .concat(usageStats ? [chalk.bold('Runs'), chalk.bold('Last Run')] : []),
+      colWidths: usageStats ? [6, 9, 15, 35, 25, 6, 22] : [6, 9, 15, 45, 30], // Adjusted widths
+      wordWrap: true,
+      style: { head: ['cyan']}
+     });
+
+  console.log(chalk.magenta(`👤 Using ${describeActiveStore()}`));
+  if (store.projectFile) console.log(chalk.blue(`📁 Project store: ${store.projectFile}`));
+
+  const allCommands = store.load(); // Workflow steps may point outside the filtered list
+  sortedCommands.forEach((cmd) => {
+    table.push([
+        chalk.yellow(formatId(cmd)),
+        formatScope(cmd),
+        cmd.alias ? chalk.magenta(cmd.alias) : chalk.dim('-'),
+        cmd.type === 'workflow'
+            ? [chalk.cyan(`⛓ workflow (${cmd.onFailure === 'continue' ? 'continue' : 'stop'} on failure)`),
+                ...(cmd.steps || []).map((step, index) => `${index + 1}. ${describeWorkflowStep(step, allCommands)}`),
+                cmd.protected && chalk.red('🔒 protected')].filter(Boolean).join('\n')
+            : [chalk.white(cmd.command),
+                cmd.cwd && chalk.dim(`📂 ${cmd.cwd}`),
+                cmd.env && chalk.dim(`⚙ ${formatEnv(cmd.env)}`),
+                cmd.protected && chalk.red('🔒 protected')].filter(Boolean).join('\n'),
+        [cmd.comment ? chalk.grey(cmd.comment) : (cmd.tags.length ? '' : chalk.dim('—')), formatTags(cmd.tags)].filter(Boolean).join(' ')
+    ].concat(usageStats ? [
+        getCommandUsage(cmd, usageStats).count,
+        chalk.dim(formatTimestamp(getCommandUsage(cmd, usageStats).lastRun))
+    ] : []));
+  });
+
+  console.log(table.toString());
 };
 
-const writeCommands = (commands) => {
-  ensureConfigDirExists();
-  try {
-    // Sort commands by ID for consistency in the file (optional but nice)
-    const sortedCommands = commands.sort((a, b) => a.id - b.id);
-    fs.writeFileSync(commandsFile, JSON.stringify(sortedCommands, null, 2), 'utf-8');
-  } catch (err) {
-      console.error(chalk.red(`❌ Error writing commands file at ${commandsFile}:`), err);
-  }
+// Delete Command Logic
+const handleDeleteCommand = async (specifier) => {
+    if (!specifier) return fail(`❌ Please provide the ID or Alias of the command to delete.`);
+
+    const commands = store.load();
+    const found = findCommandByIdOrAlias(specifier, commands);
+
+    if (!found) {
+        return fail(`❌ Command with ID or Alias "${specifier}" not found.`);
+    }
+
+    const { command: cmdToDelete } = found;
+
+    const dependents = findDependentWorkflows(cmdToDelete, commands);
+    if (dependents.length > 0) {
+        console.log(chalk.yellow(`⚠️ Used by workflow(s) ${dependents.map(wf => `#${formatId(wf)}${wf.alias ? ` (${wf.alias})` : ''}`).join(', ')}; those steps will fail until the workflow is edited.`));
+    }
+
+    const confirmed = await confirmAction(
+        `Delete ${cmdToDelete.scope} command #${formatId(cmdToDelete)} (${cmdToDelete.alias || 'no alias'}): "${chalk.cyan(cmdToDelete.command)}"?`,
+        false
+    );
+
+    if (confirmed) {
+        store.remove(cmdToDelete);
+        console.log(chalk.green(`✔️ Command #${formatId(cmdToDelete)} deleted successfully.`));
+    } else {
+        console.log(chalk.yellow('⚠️ Deletion canceled.'));
+    }
+};
+
+// Edit Command Logic
+// Any of `updates.command/alias/comment/tags/cwd/env` given (from flags) are applied without prompting;
+// an empty string clears the alias, comment, tags, cwd or env.
+const handleEditCommand = async (specifier, updates = {}) => {
+    if (!specifier) return fail(`❌ Please provide the ID or Alias of the command to edit.`);
+
+    const commands = store.load();
+    const found = findCommandByIdOrAlias(specifier, commands);
+
+    if (!found) {
+        return fail(`❌ Command with ID or Alias "${specifier}" not found.`);
+    }
+
+    const { command: cmdToEdit } = found;
+    const scopeCommands = commandsInScope(commands, cmdToEdit.scope);
+
+    console.log(chalk.blue(`Editing ${cmdToEdit.scope} command #${formatId(cmdToEdit)} (${cmdToEdit.alias || 'no alias'}):`));
+    console.log(`  Current Command: ${chalk.cyan(cmdToEdit.command)}`);
+    console.log(`  Current Alias:   ${cmdToEdit.alias ? chalk.magenta(cmdToEdit.alias) : chalk.dim('-')}`);
+    console.log(`  Current Comment: ${cmdToEdit.comment ? chalk.grey(cmdToEdit.comment) : chalk.dim('—')}`);
+    console.log(`  Current Tags:    ${cmdToEdit.tags.length ? formatTags(cmdToEdit.tags) : chalk.dim('—')}`);
+    if (cmdToEdit.cwd) console.log(`  Current Dir:     ${chalk.cyan(cmdToEdit.cwd)}`);
+    if (cmdToEdit.env) console.log(`  Current Env:     ${chalk.cyan(formatEnv(cmdToEdit.env))}`);
+    if (cmdToEdit.protected) console.log(`  Protected:       ${chalk.red('yes')}`);
+
+    const isWorkflow = cmdToEdit.type === 'workflow';
+    if (isWorkflow && typeof updates.command === 'string') {
+        return fail(`❌ #${formatId(cmdToEdit)} is a workflow; change its steps with "dumb workflow edit ${specifier}".`);
+    }
+
+    const hasFlagUpdates = ['command', 'alias', 'comment', 'tags', 'cwd'].some(field => typeof updates[field] === 'string')
+        || Array.isArray(updates.env) || typeof updates.protected === 'boolean';
+    let response;
+    if (hasFlagUpdates) {
+        // Map flags onto the prompt answers: blank keeps, " " clears
+        const toInput = (value) => value === '' ? ' ' : (value ?? '');
+        response = {
+            newCommand: updates.command ?? '',
+            newAlias: toInput(updates.alias),
+            newComment: toInput(updates.comment),
+            newTags: toInput(updates.tags),
+            newCwd: toInput(updates.cwd),
+            // --env flags replace the whole set; a single empty --env clears it
+            newEnv: Array.isArray(updates.env) ? (updates.env.filter(Boolean).length ? updates.env : ' ') : ''
+        };
+        if (response.newAlias.trim() && response.newAlias.trim().toLowerCase() !== (cmdToEdit.alias || '').toLowerCase()) {
+            const problem = validateAlias(response.newAlias, scopeCommands, cmdToEdit.id);
+            if (problem !== true) return fail(`❌ ${problem}`);
+        }
+    } else {
+        response = await ask([
+            {
+                type: isWorkflow ? null : 'text', // Workflow steps are edited with `dumb workflow edit`
+                name: 'newCommand',
+                message: 'Enter the new command (leave blank to keep current)',
+                initial: cmdToEdit.command
+            },
+            {
+                type: 'text',
+                name: 'newAlias',
+                message: `Enter the new alias (unique, no spaces/colons, blank to keep, " " to clear)`,
+                initial: cmdToEdit.alias || '',
+                 validate: value => {
+                     if (value === ' ') return true; // Allow clearing
+                     if (!value) return true; // Allow keeping blank
+                     const newAlias = value.trim();
+                     if (/\s|:/.test(newAlias)) return 'Alias cannot contain spaces or colons.';
+                     // Check uniqueness ONLY if the alias is actually changing to something new
+                     if (newAlias.toLowerCase() !== (cmdToEdit.alias || '').toLowerCase()) {
+                         if (!isAliasUnique(newAlias, scopeCommands, cmdToEdit.id)) {
+                             return `Alias "${newAlias}" is already in use.`;
+                         }
+                     }
+                     return true;
+                 }
+            },
+            {
+                type: 'text',
+                name: 'newComment',
+                message: 'Enter the new comment (leave blank to keep current, type " " to clear)',
+                initial: cmdToEdit.comment || ''
+            },
+            {
+                type: 'text',
+                name: 'newTags',
+                message: 'Enter the new tags, comma-separated (leave blank to keep current, type " " to clear)',
+                initial: cmdToEdit.tags.join(', ')
+            },
+            {
+                type: 'text',
+                name: 'newCwd',
+                message: 'Enter the directory to run in (leave blank to keep current, type " " to clear)',
+                initial: cmdToEdit.cwd || ''
+            },
+            {
+                type: 'text',
+                name: 'newEnv',
+                message: 'Enter environment variables as KEY=value (leave blank to keep current, type " " to clear)',
+                initial: cmdToEdit.env ? formatEnv(cmdToEdit.env) : '',
+                validate: value => {
+                    if (value === ' ') return true; // Allow clearing
+                    try {
+                        parseEnvAssignments(value);
+                        return true;
+                    } catch (err) {
+                        return err.message;
+                    }
+                }
+            }
+        ], `dumb edit ${specifier} [--command "<command>"] [--alias <alias>] [--comment <text>] [--tags a,b] [--cwd <dir>] [--env KEY=value]`);
+        if (!response) return; // Not a terminal; ask() already explained why
+    }
+
+    if (typeof response.newEnv === 'undefined') { // Check if prompts was cancelled (Ctrl+C); env is asked last
+        return console.log(chalk.yellow('⚠️ Edit canceled.'));
+    }
+
+    let changed = false;
+    const changes = {}; // Applied to the freshly read entry when saving
+    const updatedCommand = (response.newCommand ?? '').trim();
+    const updatedAliasInput = response.newAlias; // Don't trim space meant for clearing
+    const updatedCommentInput = response.newComment; // Don't trim space meant for clearing
+
+    // Update Command
+    if (updatedCommand && updatedCommand !== cmdToEdit.command) {
+        changes.command = updatedCommand;
+        warnIfReservedPlaceholders(updatedCommand);
+        changed = true;
+    }
+
+    // Update Alias
+    let finalAlias = cmdToEdit.alias; // Start with current
+    if (updatedAliasInput === ' ') { // Clear alias
+        if (cmdToEdit.alias !== false) { // Only mark change if it wasn't already false
+             finalAlias = false;
+             changed = true;
+        }
+    } else if (updatedAliasInput.trim() && updatedAliasInput.trim() !== (cmdToEdit.alias || '')) { // Set new alias
+        finalAlias = updatedAliasInput.trim();
+        changed = true;
+    } // If blank, keep current - no change needed explicitly
+    if (finalAlias !== cmdToEdit.alias) changes.alias = finalAlias;
+
+
+    // Update Comment
+    if (updatedCommentInput === ' ') { // Clear comment
+        if (cmdToEdit.comment !== false) {
+             changes.comment = false;
+             changed = true;
+        }
+    } else if (updatedCommentInput.trim() && updatedCommentInput.trim() !== (cmdToEdit.comment || '')) { // Set new comment
+        changes.comment = updatedCommentInput.trim();
+        changed = true;
+    } // If blank, keep current
+
+    // Update Tags
+    const updatedTagsInput = response.newTags ?? '';
+    if (updatedTagsInput === ' ') { // Clear tags
+        if (cmdToEdit.tags.length > 0) {
+             changes.tags = [];
+             changed = true;
+        }
+    } else if (updatedTagsInput.trim()) { // Replace tags
+        const newTags = normalizeTags(updatedTagsInput);
+        if (newTags.join(',') !== cmdToEdit.tags.join(',')) {
+            changes.tags = newTags;
+            changed = true;
+        }
+    } // If blank, keep current
+
+    // Update working directory
+    const updatedCwdInput = response.newCwd ?? '';
+    if (updatedCwdInput === ' ') { // Clear cwd
+        if (cmdToEdit.cwd) {
+            changes.cwd = undefined;
+            changed = true;
+        }
+    } else if (updatedCwdInput.trim() && updatedCwdInput.trim() !== (cmdToEdit.cwd || '')) { // Set new cwd
+        changes.cwd = updatedCwdInput.trim();
+        warnIfMissingCwd({ ...cmdToEdit, cwd: changes.cwd });
+        changed = true;
+    } // If blank, keep current
+
+    // Update protection (flag only: --protected / --no-protected)
+    if (typeof updates.protected === 'boolean' && updates.protected !== Boolean(cmdToEdit.protected)) {
+        changes.protected = updates.protected || undefined;
+        changed = true;
+    }
+
+    // Update environment
+    const updatedEnvInput = response.newEnv ?? '';
+    if (updatedEnvInput === ' ') { // Clear env
+        if (cmdToEdit.env) {
+            changes.env = undefined;
+            changed = true;
+        }
+    } else if (updatedEnvInput.length > 0 && (typeof updatedEnvInput !== 'string' || updatedEnvInput.trim())) { // Replace env
+        let newEnv;
+        try {
+            newEnv = parseEnvAssignments(updatedEnvInput);
+        } catch (err) {
+            return fail(`❌ ${err.message}`);
+        }
+        if (JSON.stringify(newEnv) !== JSON.stringify(cmdToEdit.env || {})) {
+            changes.env = newEnv;
+            changed = true;
+        }
+    } // If blank, keep current
+
+    if (changed) {
+        store.update(cmdToEdit, changes);
+        console.log(chalk.green(`✔️ Command #${formatId(cmdToEdit)} updated successfully.`));
+    } else {
+        console.log(chalk.yellow('ℹ️ No changes detected.'));
+    }
+};
+
+// Find Command Logic
+const handleFindCommand = (query) => {
+  if (!query) return console.log(chalk.red(`❌ Please provide a search query.`));
+
+  // Fuzzy, ranked matching; `tag:<name>` terms filter by tag
+  const results = rankCommands(store.load(), query, usageCounter(getUsageStats()));
+  if (outputFormat !== 'table') return printData(results.map(toRecord), COMMAND_COLUMNS);
+
+  if (results.length === 0) return console.log(chalk.yellow(`ℹ️ No commands found matching "${query}".`));
+
+  console.log(chalk.blue(`🔍 Found ${results.length} command(s) matching "${query}" (best match first):`));
+
+  results.forEach(cmd => {
+    console.log(`\n[${chalk.yellow(formatId(cmd))}] ${formatScope(cmd)} ${cmd.alias ? chalk.magenta(`(${cmd.alias})`) : ''} 📌 ${chalk.white(cmd.command)}`);
+    if (cmd.comment) console.log(`      💬 ${chalk.grey(cmd.comment)}`);
+    if (cmd.tags.length) console.log(`      🏷️  ${formatTags(cmd.tags)}`);
+  });
+};
+
+// Pick Command Logic
+// Incremental fuzzy search; the chosen command goes through the normal run flow.
+const handlePickCommand = async (query = '') => {
+    const usageStats = getUsageStats();
+    const candidates = rankCommands(store.load(), query, usageCounter(usageStats));
+    if (candidates.length === 0) {
+        return console.log(chalk.yellow(query ? `ℹ️ No commands found matching "${query}".` : 'ℹ️ No commands saved yet. Use "dumb add" to add one.'));
+    }
+
+    const toChoice = (cmd) => ({
+        title: `${chalk.yellow(`[${formatId(cmd)}]`)} ${cmd.alias ? chalk.magenta(cmd.alias) + ' ' : ''}${cmd.command}`,
+        description: [cmd.comment, cmd.tags.length ? cmd.tags.map(tag => `#${tag}`).join(' ') : ''].filter(Boolean).join('  '),
+        value: formatId(cmd)
+    });
+
+    const response = await ask({
+        type: 'autocomplete',
+        name: 'specifier',
+        message: query ? `Pick a command (matching "${query}")` : 'Pick a command',
+        choices: candidates.map(toChoice),
+        limit: 15,
+        // Re-rank on every keystroke rather than using prompts' plain prefix filter
+        suggest: async (input) => rankCommands(candidates, input, usageCounter(usageStats)).map(toChoice)
+    }, 'dumb run <id|alias>');
+    if (!response) return; // Not a terminal; ask() already explained why
+
+    if (!response.specifier) return console.log(chalk.yellow('⚠️ Pick canceled.'));
+    await handleRunCommand(response.specifier);
+};
+
+// UI Command Logic
+// A full-screen browser: the command list with a live filter and a detail pane. Field edits,
+// duplicates and deletes happen in place, checked like `dumb edit` checks them; running a command
+// (or copying one with placeholders) leaves the full screen for the usual prompts and comes back.
+const UI_KEYS = '↑↓ move  / filter  ⏎ run  e edit  a alias  m comment  t tags  c dup  y copy  d del  q quit';
+
+// Cut `text` to one line of at most `width` characters, marking the cut with …
+const clip = (text, width) => {
+    const chars = [...String(text ?? '').replace(/\s*\n\s*/g, ' ')];
+    if (width <= 0) return '';
+    return chars.length <= width ? chars.join('') : chars.slice(0, width - 1).join('') + '…';
+};
+
+// Copy `text` with the platform's clipboard tool, or through the terminal (OSC 52) when there
+// is none. Returns what was used.
+const copyToClipboard = (text) => {
+    const tools = process.platform === 'darwin' ? [['pbcopy']]
+        : process.platform === 'win32' ? [['clip']]
+        : [['wl-copy'], ['xclip', '-selection', 'clipboard'], ['xsel', '--clipboard', '--input']];
+    for (const [tool, ...args] of tools) {
+        const result = spawnSync(tool, args, { input: text, stdio: ['pipe', 'ignore', 'ignore'], timeout: 5000 });
+        if (!result.error && result.status === 0) return tool;
+    }
+    process.stdout.write(`\x1b]52;c;${Buffer.from(text).toString('base64')}\x07`);
+    return 'the terminal';
+};
+
+const handleUiCommand = async () => {
+    if (!process.stdin.isTTY || !process.stdout.isTTY) {
+        return fail('❌ dumb ui needs a terminal. In scripts, use "dumb ls" / "dumb find" with --format.');
+    }
+    const input = process.stdin;
+    const output = process.stdout;
+    // `field` is the text being typed, if any: the filter, or a field of the selected command
+    const ui = { filter: '', selected: 0, offset: 0, message: '', field: null, commands: [], visible: [], usage: new Map(), busy: false };
+    let finish;
+
+    const selectedCommand = () => ui.visible[ui.selected];
+
+    // Re-read the stores (another terminal may have changed them), keeping the selection if possible
+    const reload = (keep = selectedCommand()) => {
+        ui.commands = store.load();
+        ui.usage = getUsageStats();
+        ui.visible = ui.filter.trim()
+            ? rankCommands(ui.commands, ui.filter, usageCounter(ui.usage))
+            : [...ui.commands].sort(compareCommands);
+        const index = keep ? ui.visible.findIndex(cmd => cmd.scope === keep.scope && cmd.id === keep.id) : -1;
+        ui.selected = index !== -1 ? index : Math.max(Math.min(ui.selected, ui.visible.length - 1), 0);
+    };
+
+    const detailLines = (cmd, width) => {
+        if (!cmd) return [];
+        const usage = getCommandUsage(cmd, ui.usage);
+        const slots = cmd.type === 'workflow' ? [] : parseEntryPlaceholders(cmd).slots;
+        const fields = [
+            ['Command', cmd.type === 'workflow' ? (cmd.steps || []).map(formatWorkflowStep).join(' → ') : cmd.command],
+            ['Alias', cmd.alias],
+            ['Comment', cmd.comment],
+            ['Tags', cmd.tags.map(tag => `#${tag}`).join(' ')],
+            ['Entry', `#${formatId(cmd)}, ${cmd.scope}${cmd.type === 'workflow' ? ' workflow' : ''}${cmd.protected ? ', protected' : ''}`],
+            ['Dir', cmd.cwd],
+            ['Env', cmd.env && formatEnv(cmd.env)],
+            ['Inputs', slots.map(describeSlot).join(' ')],
+            ['Runs', usage.count ? `${usage.count}, last ${formatTimestamp(usage.lastRun)}${usage.lastExitCode ? ` (exit ${usage.lastExitCode})` : ''}` : 'never']
+        ];
+        const valueWidth = Math.max(width - 10, 10);
+        return fields.filter(([, value]) => value).flatMap(([label, value]) => {
+            // The command wraps, everything else gets one line
+            const chunks = label === 'Command'
+                ? [...String(value)].reduce((lines, char, index) => {
+                    if (index % valueWidth === 0) lines.push('');
+                    lines[lines.length - 1] += char;
+                    return lines;
+                }, [])
+                : [clip(value, valueWidth)];
+            return chunks.map((chunk, index) => `${chalk.cyan((index === 0 ? label : '').padEnd(9))} ${label === 'Command' ? chalk.white(chunk) : chunk}`);
+        });
+    };
+
+    const render = () => {
+        const width = output.columns || 80;
+        const height = output.rows || 24;
+        const detailHeight = Math.min(8, Math.max(height - 9, 2));
+        const listHeight = Math.max(height - detailHeight - 5, 1);
+        // Keep the selection in view
+        if (ui.selected < ui.offset) ui.offset = ui.selected;
+        if (ui.selected >= ui.offset + listHeight) ui.offset = ui.selected - listHeight + 1;
+        ui.offset = Math.max(Math.min(ui.offset, ui.visible.length - listHeight), 0);
+
+        const source = store.profile ? `profile ${store.profile}` : store.commandsFile;
+        const lines = [
+            chalk.inverse(clip(` dumb ui · ${source} · ${ui.visible.length}/${ui.commands.length} commands`, width).padEnd(width)),
+            `${chalk.bold('Filter:')} ${ui.filter || (ui.field?.filter ? '' : chalk.dim('(press / to search; tag:<name> filters by tag)'))}`
+        ];
+        for (let row = 0; row < listHeight; row++) {
+            const cmd = ui.visible[ui.offset + row];
+            if (!cmd) {
+                if (row === 0) lines.push(chalk.dim(ui.commands.length ? '  No commands match the filter.' : '  No commands saved yet. Use "dumb add" to add one.'));
+                else lines.push('');
+                continue;
+            }
+            const id = `[${formatId(cmd)}]`.padEnd(6);
+            const alias = clip(cmd.alias || '', 14).padEnd(15);
+            const text = clip(cmd.command, width - id.length - alias.length - 3);
+            lines.push(ui.offset + row === ui.selected
+                ? chalk.inverse(`› ${id}${alias} ${text}`.padEnd(width))
+                : `  ${chalk.yellow(id)}${chalk.magenta(alias)} ${text}`);
+        }
+        lines.push(chalk.dim('─'.repeat(width)));
+        const details = detailLines(selectedCommand(), width);
+        for (let row = 0; row < detailHeight; row++) lines.push(details[row] ?? '');
+        lines.push(chalk.dim('─'.repeat(width)));
+        if (ui.field && !ui.field.filter) lines.push(`${chalk.bold(ui.field.label + ':')} ${ui.field.value}${ui.field.problem ? '  ' + chalk.red(`✖ ${ui.field.problem}`) : ''}`);
+        else lines.push(ui.message ? clip(ui.message, width) : chalk.dim(clip(UI_KEYS, width)));
+
+        let cursor = '\x1b[?25l';
+        if (ui.field) {
+            const row = ui.field.filter ? 2 : lines.length;
+            const column = (ui.field.filter ? 'Filter:'.length : ui.field.label.length + 1) + 2 + ui.field.cursor;
+            cursor = `\x1b[${row};${column}H\x1b[?25h`;
+        }
+        output.write('\x1b[H' + lines.map(line => line + '\x1b[K').join('\n') + '\x1b[J' + cursor);
+    };
+
+    // Full screen on/off. Prompts and command output need the normal screen and line mode.
+    const enter = () => {
+        output.write('\x1b[?1049h\x1b[?25l');
+        input.setRawMode(true);
+        input.resume();
+        input.on('keypress', onKey);
+        output.on('resize', render);
+    };
+    const leave = () => {
+        input.removeListener('keypress', onKey);
+        output.removeListener('resize', render);
+        input.setRawMode(false);
+        output.write('\x1b[?25h\x1b[?1049l');
+    };
+
+    // Run `action` on the normal screen (for prompts and output), then come back after a key press
+    const suspend = async (action) => {
+        leave();
+        const exitCode = process.exitCode;
+        try {
+            await action();
+        } catch (err) {
+            reportError(err);
+        }
+        process.exitCode = exitCode; // A failed run shouldn't fail the whole session
+        output.write(chalk.dim('\nPress any key to return to dumb ui...'));
+        input.setRawMode(true);
+        input.resume();
+        await new Promise(resolve => input.once('data', resolve));
+        enter();
+        reload();
+    };
+
+    // Start typing into the status line; `submit` returns an error message to keep it open
+    const editField = (label, value, submit) => {
+        ui.field = { label, value, cursor: value.length, submit };
+    };
+
+    const saveField = (cmd, name, value) => {
+        const text = value.trim();
+        let changes;
+        if (name === 'command') {
+            if (!text) return 'Command cannot be empty.';
+            changes = { command: text };
+        } else if (name === 'alias') {
+            if (text && text.toLowerCase() !== (cmd.alias || '').toLowerCase()) {
+                const problem = validateAlias(text, commandsInScope(store.load(), cmd.scope), cmd.id);
+                if (problem !== true) return problem;
+            }
+            changes = { alias: text || false };
+        } else if (name === 'comment') {
+            changes = { comment: text || false };
+        } else {
+            changes = { tags: normalizeTags(text) };
+        }
+        store.update(cmd, changes);
+        ui.message = chalk.green(`✔ Command #${formatId(cmd)} updated.`);
+        return null;
+    };
+
+    const FIELD_KEYS = { e: ['command', 'Command'], a: ['alias', 'Alias (empty clears)'], m: ['comment', 'Comment'], t: ['tags', 'Tags'] };
+
+    const onFieldKey = (text, key) => {
+        const field = ui.field;
+        field.problem = null;
+        if (key.name === 'return') {
+            if (field.filter) {
+                ui.field = null;
+            } else {
+                field.problem = field.submit(field.value);
+                if (!field.problem) ui.field = null;
+                reload();
+                return;
+            }
+        } else if (key.name === 'escape') {
+            if (field.filter) field.value = '';
+            ui.field = null;
+            ui.message = '';
+        } else if (key.name === 'backspace') {
+            if (field.cursor > 0) {
+                field.value = field.value.slice(0, field.cursor - 1) + field.value.slice(field.cursor);
+                field.cursor--;
+            }
+        } else if (key.name === 'delete') {
+            field.value = field.value.slice(0, field.cursor) + field.value.slice(field.cursor + 1);
+        } else if (key.name === 'left') {
+            field.cursor = Math.max(field.cursor - 1, 0);
+        } else if (key.name === 'right') {
+            field.cursor = Math.min(field.cursor + 1, field.value.length);
+        } else if (key.name === 'home' || (key.ctrl && key.name === 'a')) {
+            field.cursor = 0;
+        } else if (key.name === 'end' || (key.ctrl && key.name === 'e')) {
+            field.cursor = field.value.length;
+        } else if (key.ctrl && key.name === 'u') {
+            field.value = '';
+            field.cursor = 0;
+        } else if (text && !key.ctrl && !key.meta && text >= ' ') {
+            field.value = field.value.slice(0, field.cursor) + text + field.value.slice(field.cursor);
+            field.cursor += text.length;
+        }
+        if (field.filter && ui.filter !== field.value) {
+            ui.filter = field.value;
+            ui.selected = 0;
+            reload(null);
+        }
+    };
+
+    const onCommandKey = async (text, key) => {
+        const cmd = selectedCommand();
+        const pageSize = Math.max((output.rows || 24) - 14, 1);
+        ui.message = '';
+        if (key.name === 'escape' && ui.filter) {
+            ui.filter = '';
+            return reload();
+        }
+        if (key.name === 'q' || key.name === 'escape' || (key.ctrl && key.name === 'c')) return finish();
+        if (key.name === 'up' || key.name === 'k') ui.selected = Math.max(ui.selected - 1, 0);
+        else if (key.name === 'down' || key.name === 'j') ui.selected = Math.min(ui.selected + 1, Math.max(ui.visible.length - 1, 0));
+        else if (key.name === 'pageup') ui.selected = Math.max(ui.selected - pageSize, 0);
+        else if (key.name === 'pagedown') ui.selected = Math.min(ui.selected + pageSize, Math.max(ui.visible.length - 1, 0));
+        else if (key.name === 'home' || text === 'g') ui.selected = 0;
+        else if (key.name === 'end' || text === 'G') ui.selected = Math.max(ui.visible.length - 1, 0);
+        else if (text === '/') ui.field = { filter: true, value: ui.filter, cursor: ui.filter.length };
+        else if (!cmd) return;
+        else if (key.name === 'return' || key.name === 'r') await suspend(() => handleRunCommand(formatId(cmd)));
+        else if (FIELD_KEYS[key.name] && !key.ctrl && !key.meta) {
+            const [name, label] = FIELD_KEYS[key.name];
+            if (name === 'command' && cmd.type === 'workflow') {
+                ui.message = chalk.yellow(`#${formatId(cmd)} is a workflow; change its steps with "dumb workflow edit ${formatId(cmd)}".`);
+                return;
+            }
+            const current = name === 'tags' ? cmd.tags.join(' ') : String(cmd[name] || '');
+            editField(`${label} for #${formatId(cmd)}`, current, (value) => saveField(cmd, name, value));
+        } else if (key.name === 'd') {
+            const dependents = findDependentWorkflows(cmd, ui.commands);
+            const note = dependents.length ? ` Used by workflow(s) ${dependents.map(wf => `#${formatId(wf)}`).join(', ')}.` : '';
+            editField(`Delete #${formatId(cmd)}${cmd.alias ? ` (${cmd.alias})` : ''}?${note} [y/N]`, '', (value) => {
+                if (/^y(es)?$/i.test(value.trim())) {
+                    store.remove(cmd);
+                    ui.message = chalk.green(`✔ Command #${formatId(cmd)} deleted ("dumb undo" brings it back).`);
+                } else {
+                    ui.message = chalk.yellow('Deletion canceled.');
+                }
+                return null;
+            });
+        } else if (key.name === 'c') {
+            // Aliases are unique, so the copy starts without one
+            const { id, uid, scope, alias, ...fields } = cmd;
+            const copy = store.add(fields, { scope });
+            reload(copy);
+            ui.message = chalk.green(`✔ Duplicated #${formatId(cmd)} as #${formatId(copy)}. Press e to change it.`);
+        } else if (key.name === 'y') {
+            if (cmd.type === 'workflow') {
+                ui.message = chalk.yellow('Workflows have several commands; copy one of their steps instead.');
+                return;
+            }
+            const copy = (command) => {
+                const method = copyToClipboard(command);
+                ui.message = chalk.green(`✔ Copied with ${method}: ${command}`);
+            };
+            // Placeholders are asked for on the normal screen, as for a run
+            if (parseEntryPlaceholders(cmd).slots.length === 0) copy(store.expand(cmd).command);
+            else await suspend(async () => {
+                let prepared = await prepareCommandRun(cmd);
+                // Copying doesn't run the command, but {sh:...} would run now: ask first
+                if (prepared?.pending.length > 0) {
+                    const confirmed = await confirmRun(cmd, `Copy [${chalk.cyan(prepared.finalCommand)}]?${describeRunContext({ pending: prepared.pending })}`, { dangers: findRunDangers(prepared) });
+                    prepared = confirmed ? runPendingSources(cmd, prepared) : null;
+                }
+                if (prepared) copy(prepared.finalCommand);
+            });
+        }
+    };
+
+    const onKey = async (text, key = {}) => {
+        if (ui.busy) return;
+        ui.busy = true;
+        try {
+            if (ui.field) onFieldKey(text, key);
+            else await onCommandKey(text, key);
+        } catch (err) {
+            if (!(err instanceof DumbError)) {
+                finish(err);
+                return;
+            }
+            ui.message = chalk.red(`✖ ${err.message}`);
+            reload();
+        } finally {
+            ui.busy = false;
+        }
+        if (finish) render();
+    };
+
+    readline.emitKeypressEvents(input);
+    reload();
+    const done = new Promise((resolve, reject) => {
+        finish = (err) => {
+            finish = null;
+            leave();
+            input.pause();
+            if (err) reject(err);
+            else resolve();
+        };
+    });
+    enter();
+    render();
+    await done;
+};
+
+// History Command Logic
+const handleHistoryCommand = (specifier, limit = 20) => {
+    let history = readHistory();
+
+    if (specifier) {
+        const found = findCommandByIdOrAlias(specifier, store.load());
+        if (!found) return fail(`❌ Command with ID or Alias "${specifier}" not found.`);
+        const storeKey = getStoreKey(found.command);
+        history = history.filter(entry => entry.store === storeKey && entry.id === found.command.id);
+    }
+
+    if (outputFormat !== 'table') {
+        return printData(history.slice(-limit).reverse(), [
+            ['startedAt', entry => entry.startedAt],
+            ['id', entry => `${isProjectStoreKey(entry.store) ? 'p' : ''}${entry.id}`],
+            ['alias', entry => entry.alias],
+            ['exitCode', entry => entry.exitCode],
+            ['durationMs', entry => entry.durationMs],
+            ['cwd', entry => entry.cwd],
+            ['command', entry => entry.command]
+        ]);
+    }
+
+    if (history.length === 0) {
+        return console.log(chalk.yellow(`ℹ️ No runs recorded${specifier ? ` for "${specifier}"` : ''} yet.`));
+    }
+
+    const table = new Table({
+        head: [chalk.bold('When'), chalk.bold('ID'), chalk.bold('Exit'), chalk.bold('Took'), chalk.bold('Cwd'), chalk.bold('Command')],
+        colWidths: [22, 12, 6, 8, 25, 45],
+        wordWrap: true,
+        style: { head: ['cyan'] }
+    });
+
+    history.slice(-limit).reverse().forEach(entry => {
+        const id = `${isProjectStoreKey(entry.store) ? 'p' : ''}${entry.id}${entry.alias ? `/${entry.alias}` : ''}`;
+        table.push([
+            chalk.dim(formatTimestamp(entry.startedAt)),
+            chalk.yellow(id),
+            entry.exitCode === 0 ? chalk.green(entry.exitCode) : chalk.red(entry.exitCode),
+            formatDuration(entry.durationMs),
+            chalk.grey(entry.cwd),
+            chalk.white(entry.command)
+        ]);
+    });
+
+    console.log(table.toString());
+};
+
+// Stats Command Logic
+const handleStatsCommand = () => {
+    const commands = store.load();
+    const history = readHistory();
+    const usageStats = getUsageStats(history);
+    const label = (cmd) => `${chalk.yellow(`[${formatId(cmd)}]`)} ${cmd.alias ? chalk.magenta(cmd.alias) + ' ' : ''}${cmd.command}`;
+
+    const failures = history.filter(entry => entry.exitCode !== 0);
+    console.log(chalk.blue(`📊 ${history.length} run(s) recorded, ${failures.length} failed, ${commands.length} command(s) saved.`));
+
+    const mostUsed = commands
+        .filter(cmd => getCommandUsage(cmd, usageStats).count > 0)
+        .sort((a, b) => getCommandUsage(b, usageStats).count - getCommandUsage(a, usageStats).count)
+        .slice(0, 10);
+    console.log('\n' + chalk.yellow('Most used:'));
+    if (mostUsed.length === 0) console.log(chalk.dim('  (nothing run yet)'));
+    mostUsed.forEach(cmd => console.log(`  ${String(getCommandUsage(cmd, usageStats).count).padStart(4)}×  ${label(cmd)}`));
+
+    console.log('\n' + chalk.yellow('Last failed:'));
+    if (failures.length === 0) console.log(chalk.dim('  (no failures)'));
+    failures.slice(-5).reverse().forEach(entry => {
+        console.log(`  ${chalk.dim(formatTimestamp(entry.startedAt))}  ${chalk.red(`exit ${entry.exitCode}`)}  ${entry.command}`);
+    });
+
+    const neverRun = commands.filter(cmd => getCommandUsage(cmd, usageStats).count === 0).sort(compareCommands);
+    console.log('\n' + chalk.yellow(`Never run (${neverRun.length}):`));
+    if (neverRun.length === 0) console.log(chalk.dim('  (every command has been run)'));
+    neverRun.forEach(cmd => console.log(`  ${label(cmd)}`));
+};
+
+// Rerun Command Logic
+// Repeats the most recent run: same command, same placeholder values, normal confirmation.
+const handleRerunCommand = async () => {
+    const last = readHistory().pop();
+    if (!last) return fail('❌ Nothing to rerun yet; no runs recorded.');
+
+    const cmd = store.load().find(c => getStoreKey(c) === last.store && c.id === last.id);
+    if (!cmd) {
+        return fail(`❌ The last run command (#${isProjectStoreKey(last.store) ? 'p' : ''}${last.id}) no longer exists${last.store !== 'global' ? ` in ${last.store}` : ''}.`);
+    }
+    if (!cmd.cwd && last.cwd !== process.cwd()) { // Commands with a stored directory run there anyway
+        console.log(chalk.dim(`ℹ️ Last run was in ${last.cwd}; rerunning in ${process.cwd()}.`));
+    }
+    await handleRunCommand(formatId(cmd), [], { presetValues: last.values || {} });
+};
+
+// Logs Command Logic
+// Prints what the most recent runs of one command printed, as saved by `run --log` (oldest first).
+const handleLogsCommand = (specifier, count = 1) => {
+    const cmd = store.resolve(specifier);
+    const storeKey = getStoreKey(cmd);
+    const runs = readHistory().filter(entry => entry.store === storeKey && entry.id === cmd.id && entry.log).slice(-Math.max(count, 1));
+    const logs = runs.map(entry => {
+        let output = null;
+        try {
+            output = fs.readFileSync(entry.log, 'utf-8');
+        } catch {
+            // Pruned or deleted; reported below
+        }
+        return { startedAt: entry.startedAt, exitCode: entry.exitCode, durationMs: entry.durationMs, file: entry.log, output };
+    });
+
+    if (outputFormat === 'json') return console.log(JSON.stringify(logs, null, 2));
+    if (logs.length === 0) {
+        return status(chalk.yellow(`ℹ️ No saved output for #${formatId(cmd)} yet. Run it with --log to keep it: dumb run ${specifier} --log`));
+    }
+    logs.forEach(log => {
+        status(chalk.blue(`── ${formatTimestamp(log.startedAt)} · exit ${log.exitCode} · ${formatDuration(log.durationMs)} · ${log.file}`));
+        if (log.output === null) status(chalk.yellow(`⚠️ The log file is gone (only the newest ${MAX_LOG_FILES} are kept).`));
+        else process.stdout.write(log.output);
+    });
+};
+
+// Tag Command Logic
+// `+name` (or a bare name) adds a tag, `-name` removes one. No changes just shows the tags.
+const handleTagCommand = (specifier, changes = []) => {
+    const commands = store.load();
+    const found = findCommandByIdOrAlias(specifier, commands);
+
+    if (!found) {
+        return fail(`❌ Command with ID or Alias "${specifier}" not found.`);
+    }
+
+    const { command: cmdToTag } = found;
+    const label = `#${formatId(cmdToTag)}${cmdToTag.alias ? ` (${cmdToTag.alias})` : ''}`;
+
+    if (changes.length === 0) {
+        return console.log(`🏷️  ${label}: ${cmdToTag.tags.length ? formatTags(cmdToTag.tags) : chalk.dim('no tags')}`);
+    }
+
+    let tags = [...cmdToTag.tags];
+    changes.forEach(change => {
+        const text = String(change);
+        if (text.startsWith('-')) {
+            const removed = normalizeTags(text.slice(1));
+            tags = tags.filter(tag => !removed.includes(tag));
+        } else {
+            tags = normalizeTags([...tags, ...normalizeTags(text.replace(/^\+/, ''))]);
+        }
+    });
+
+    if (tags.join(',') === cmdToTag.tags.join(',')) {
+        return console.log(chalk.yellow('ℹ️ No changes detected.'));
+    }
+
+    store.update(cmdToTag, { tags }, { operation: 'tag' });
+    console.log(chalk.green(`✔️ Tags for ${label}: ${tags.length ? formatTags(tags) : chalk.dim('none')}`));
+};
+
+// Tags Overview Logic
+const handleListTags = () => {
+    const counts = new Map();
+    store.load().forEach(cmd => cmd.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+    if (counts.size === 0) return console.log(chalk.yellow('ℹ️ No tags yet. Use "dumb tag <id|alias> +name" to add one.'));
+
+    [...counts.entries()]
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .forEach(([tag, count]) => console.log(`  ${formatTags([tag])} ${chalk.dim(`(${count})`)}`));
+};
+
+// Run Command Logic (with Dynamic Placeholders)
+// Resolve a command's placeholders for one run: presets and args first, then `{env:...}` and
+// `{stdin}`, then defaults (under --yes or without a terminal), then prompts by name.
+// Placeholders in `cwd`/`env` are filled too. `{sh:...}` commands don't run yet: they are left
+// in `finalCommand` and listed in `pending` until the run is confirmed (see runPendingSources).
+// Returns { finalCommand, values, sourced, pending, slots, shell, cwd, env } where `sourced` holds
+// the self-filled values (kept out of `values`, so `dumb rerun` resolves them afresh), or null when
+// the run can't go ahead (the reason has been printed). `here` ignores the stored working directory.
+const prepareCommandRun = async (cmdToRun, runtimeArgs = [], presetValues = {}, { here = false } = {}) => {
+    // --- Dynamic Placeholder Handling ---
+    const shell = detectShell(); // Values are quoted for the shell that will run the command
+    const { slots } = parseEntryPlaceholders(cmdToRun);
+    const assigned = assignPlaceholderValues(slots, runtimeArgs, presetValues);
+    const { values, extra } = assigned;
+    const missing = assigned.missing.filter(slot => !slot.source);
+    const sourceCwd = store.sourceCwd(cmdToRun, { here });
+    let sourced;
+    try {
+        sourced = resolvePlaceholderSources(slots, values, { cwd: sourceCwd });
+    } catch (err) {
+        reportError(err);
+        return null;
+    }
+
+    // Without a terminal (or with --yes), defaults fill in silently; anything else must be passed
+    if (missing.length > 0 && (assumeYes || !isInteractive())) {
+        missing.filter(slot => slot.defaultValue !== undefined).forEach(slot => { values[slot.key] = slot.defaultValue; });
+        const unresolved = missing.filter(slot => !(slot.key in values));
+        if (unresolved.length > 0 && !isInteractive()) {
+            fail(`❌ Missing value(s) for ${unresolved.map(describeSlot).join(', ')} and stdin is not a terminal. Pass them as arguments (name=value).`);
+            return null;
+        }
+        missing.splice(0, missing.length, ...unresolved);
+    }
+
+    // Ask for anything not given on the command line, by name
+    if (missing.length > 0) {
+        const answers = await prompts(missing.map(slot => ({
+            type: slot.choices ? 'select' : 'text',
+            name: slot.key,
+            message: slot.name ? `Value for ${chalk.magenta(slot.name)}` : `Value for placeholder ${describeSlot(slot)}`,
+            ...(slot.choices
+                ? { choices: slot.choices.map(choice => ({ title: choice, value: choice })) }
+                : { initial: slot.defaultValue ?? '' }),
+            ...(slot.mustExist && { validate: value => checkPlaceholderValue(slot, value, { cwd: sourceCwd }) || true }),
+            stdout: promptOutput()
+        })));
+
+        if (missing.some(slot => typeof answers[slot.key] === 'undefined')) {
+            status(chalk.yellow('⚠️ Execution canceled.'));
+            return null;
+        }
+        Object.assign(values, answers);
+    }
+
+    // Optional: Warn if extra arguments were provided but not used
+    if (extra.length > 0) {
+        status(chalk.yellow(slots.length > 0
+            ? `⚠️ Warning: ${extra.length} extra argument(s) ignored (${extra.join(' ')}); the command has ${slots.length} placeholder(s).`
+            : `⚠️ Warning: Arguments provided (${extra.join(' ')}) but the command has no dynamic placeholders. Arguments will be ignored.`));
+    }
+    // --- End Dynamic Placeholder Handling ---
+
+    let expanded;
+    try { // A value given for a {choice:...} or {file} may not fit
+        expanded = store.expand(cmdToRun, { values: { ...values, ...sourced }, shell, here });
+    } catch (err) {
+        reportError(err);
+        return null;
+    }
+    const { command: finalCommand, cwd, env, pending } = expanded;
+    // A directory that depends on a {sh:...} is checked once the command has run
+    if (!pending.some(slot => cmdToRun.cwd?.includes(`{${slot.key}}`)) && !checkRunCwd(cmdToRun, cwd)) return null;
+    return { finalCommand, values, sourced, pending, slots, shell, cwd, env };
+};
+
+// Whether the working directory of a run exists (reported if not)
+const checkRunCwd = (cmd, cwd) => {
+    if (!cwd || (fs.existsSync(cwd) && fs.lstatSync(cwd).isDirectory())) return true;
+    fail(`❌ Working directory "${cwd}" does not exist. Fix it with "dumb edit ${formatId(cmd)} --cwd <dir>", or use --here.`);
+    return false;
+};
+
+// Run the `{sh:...}` commands a prepared run is waiting for (see prepareCommandRun), once it has
+// been confirmed, and fill in their output. Returns the completed run, or null when a command
+// fails or the result can't run (the reason has been printed).
+const runPendingSources = (cmdToRun, prepared, { here = false } = {}) => {
+    if (prepared.pending.length === 0) return prepared;
+    try {
+        const sourced = { ...prepared.sourced, ...resolvePlaceholderSources(prepared.pending, {}, { cwd: store.sourceCwd(cmdToRun, { here }), runCommands: true }) };
+        const { command: finalCommand, cwd, env } = store.expand(cmdToRun, { values: { ...prepared.values, ...sourced }, shell: prepared.shell, here });
+        return checkRunCwd(cmdToRun, cwd) ? { ...prepared, finalCommand, sourced, pending: [], cwd, env } : null;
+    } catch (err) {
+        reportError(err);
+        return null;
+    }
+};
+
+// What makes a prepared run dangerous (see findDangers): its command as stored, with the values
+// known so far, and the `{sh:...}` commands it still has to run
+const findRunDangers = ({ finalCommand, pending = [] }) =>
+    [finalCommand, ...pending.map(slot => slot.argument)]
+        .flatMap(text => findDangers(text, getDangerRules()))
+        .filter((rule, index, all) => all.findIndex(other => other.name === rule.name) === index);
+
+// The dangers in `after` that weren't among those already confirmed (`before`)
+const addedDangers = (before, after) => after.filter(rule => !before.some(other => other.name === rule.name));
+
+// Extra lines for confirmations: where the command runs, what it adds to the environment, what
+// the `{env:...}`, `{sh:...}` and `{stdin}` placeholders resolved to, and the `{sh:...}`
+// commands that will run first
+const describeRunContext = ({ cwd, env, sourced = {}, pending = [] }) =>
+    `${cwd ? `\n  in ${chalk.cyan(cwd)}` : ''}${env ? `\n  with ${chalk.cyan(formatEnv(env))}` : ''}` +
+    Object.entries(sourced).map(([key, value]) => `\n  ${chalk.magenta(`{${clip(key, 40)}}`)} = ${chalk.cyan(clip(JSON.stringify(value), 60))}`).join('') +
+    pending.map(slot => `\n  runs first: ${chalk.cyan(slot.argument)}`).join('');
+
+// What `run --dry-run` prints instead of running: the final command, where, and what would be asked
+const printDryRun = (label, cmd, prepared, dangers) => {
+    status(`${chalk.blue(`🔍 ${label}:`)} ${chalk.cyan(prepared.finalCommand)}${describeRunContext(prepared)}`);
+    if (cmd.protected || dangers.length > 0) {
+        status(chalk.yellow(`   ⚠️ Would ask to type ${cmd.alias || formatId(cmd)}: ${describeRunRisk(cmd, dangers)}`));
+    }
+};
+
+const FORWARDED_SIGNALS = ['SIGINT', 'SIGTERM', 'SIGHUP'];
+const TIMEOUT_EXIT_CODE = 124; // As reported by coreutils' `timeout`
+const KILL_GRACE_MS = 5000; // After a timeout, time between SIGTERM and SIGKILL
+const PIPE_DRAIN_MS = 200; // After the command exits, time its output pipes get to deliver the rest
+const DEFAULT_RETRY_DELAY = '1s';
+
+// Run a prepared command line. Its output passes through, except with --format json, where
+// stdout is captured for the result object; with `logStream`, stdout and stderr are copied there.
+// `timeoutMs` ends the command (SIGTERM, then SIGKILL) once it runs that long.
+// Resolves to { exitCode, stdout, signal, timedOut, interrupted }; `interrupted` means dumb
+// itself got SIGINT/SIGTERM/SIGHUP (and passed it on) while the command ran.
+const runPrepared = ({ finalCommand, cwd, env }, { timeoutMs, logStream } = {}) => new Promise((resolve) => {
+    const capture = outputFormat === 'json';
+    // Without a terminal the command gets a process group of its own, so signals and timeouts
+    // reach everything it started. On a terminal it has to stay in the foreground group to read
+    // input, and Ctrl+C reaches it from the terminal directly.
+    const ownGroup = !process.stdin.isTTY && process.platform !== 'win32';
+    const child = spawn(finalCommand, {
+        stdio: ['inherit', capture || logStream ? 'pipe' : 'inherit', logStream ? 'pipe' : 'inherit'],
+        shell: process.env.SHELL || true,
+        detached: ownGroup,
+        ...(cwd && { cwd }),
+        ...(env && { env: { ...process.env, ...env } })
+    });
+    const stdout = [];
+    child.stdout?.on('data', (chunk) => {
+        if (capture) stdout.push(chunk);
+        else process.stdout.write(chunk);
+        logStream?.write(chunk);
+    });
+    child.stderr?.on('data', (chunk) => {
+        process.stderr.write(chunk);
+        logStream?.write(chunk);
+    });
+
+    let timedOut = false;
+    let interrupted = false;
+    const kill = (signal) => {
+        try {
+            process.kill(ownGroup ? -child.pid : child.pid, signal);
+        } catch {
+            // Already gone
+        }
+    };
+    const forwarders = FORWARDED_SIGNALS.map(signal => [signal, () => {
+        interrupted = true;
+        if (ownGroup || signal !== 'SIGINT') kill(signal);
+    }]);
+    forwarders.forEach(([signal, forward]) => process.on(signal, forward));
+    let killTimer;
+    const timer = timeoutMs && setTimeout(() => {
+        timedOut = true;
+        kill('SIGTERM');
+        killTimer = setTimeout(() => kill('SIGKILL'), KILL_GRACE_MS);
+    }, timeoutMs);
+
+    let settled = false;
+    const settle = (exitCode, signal) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        clearTimeout(killTimer);
+        forwarders.forEach(([name, forward]) => process.removeListener(name, forward));
+        resolve({
+            exitCode: timedOut ? TIMEOUT_EXIT_CODE : exitCode,
+            stdout: capture ? Buffer.concat(stdout).toString('utf-8') : null,
+            signal,
+            timedOut,
+            interrupted
+        });
+    };
+    child.on('error', (err) => {
+        status(chalk.red(`❌ Could not start the command: ${err.message}`));
+        settle(127, null);
+    });
+    // Killed by a signal: 128 + its number, as shells report it. Something the command left running
+    // in the background can keep its output pipes open, so they only get a moment to drain.
+    child.on('exit', (code, signal) => {
+        const exitCode = code ?? (signal ? 128 + (os.constants.signals[signal] || 0) : 1);
+        const drained = setTimeout(() => {
+            child.stdout?.destroy();
+            child.stderr?.destroy();
+            settle(exitCode, signal);
+        }, PIPE_DRAIN_MS);
+        child.on('close', () => {
+            clearTimeout(drained);
+            settle(exitCode, signal);
+        });
+    });
+});
+
+// Run a prepared command, again after failures as `runOptions.retries` allows (not after a
+// timeout's last attempt or an interruption). Resolves to the last attempt's result (see
+// runPrepared) plus `attempts`.
+const runWithRetries = async (prepared, { timeoutMs, retries = 0, retryDelayMs = parseDuration(DEFAULT_RETRY_DELAY), logStream } = {}) => {
+    for (let attempt = 1; ; attempt++) {
+        if (attempt > 1) logStream?.write(`\n# attempt ${attempt} of ${retries + 1}\n`);
+        const result = await runPrepared(prepared, { timeoutMs, logStream });
+        if (result.timedOut) status(chalk.red(`⏱  Timed out after ${formatDuration(timeoutMs)}.`));
+        if (result.exitCode === 0 || result.interrupted || attempt > retries) return { ...result, attempts: attempt };
+        status(chalk.yellow(`🔁 Attempt ${attempt} of ${retries + 1} failed (exit code ${result.exitCode}); retrying in ${formatDuration(retryDelayMs)}...`));
+        await new Promise(resolve => setTimeout(resolve, retryDelayMs));
+    }
+};
+
+// --- Run Logs ---
+// `run --log` copies a run's output to <config dir>/logs/<started>-<id>.log; its history entry
+// points there (see `dumb logs`). Only the newest MAX_LOG_FILES are kept.
+
+// Start a log for a run of command `id`. Returns { file, stream }, or null (with a warning) if it can't be written.
+const openRunLog = (id, finalCommand, startedAt) => {
+    const file = path.join(logsDir, `${startedAt.toISOString().replace(/[:.]/g, '-')}-${id}.log`);
+    try {
+        fs.mkdirSync(logsDir, { recursive: true });
+        const stream = fs.createWriteStream(file);
+        stream.on('error', (err) => status(chalk.yellow(`⚠️ Could not write the log ${file}: ${err.message}`)));
+        stream.write(`# dumb run #${id}: ${finalCommand}\n# started ${startedAt.toISOString()}\n`);
+        return { file, stream };
+    } catch (err) {
+        status(chalk.yellow(`⚠️ Could not create a log in ${logsDir}: ${err.message}`));
+        return null;
+    }
+};
+
+// Finish a log with the outcome and drop the oldest logs beyond MAX_LOG_FILES
+const closeRunLog = async (log, { exitCode, durationMs }) => {
+    await new Promise(resolve => log.stream.end(`\n# exit code ${exitCode} after ${formatDuration(durationMs)}\n`, resolve));
+    try {
+        const files = fs.readdirSync(logsDir).filter(name => name.endsWith('.log')).sort();
+        files.slice(0, Math.max(files.length - MAX_LOG_FILES, 0)).forEach(name => fs.rmSync(path.join(logsDir, name), { force: true }));
+    } catch {
+        // Pruning is best effort
+    }
+};
+
+// Execute a prepared command (see prepareCommandRun), report the outcome and record it in history.
+// `runOptions` are { timeoutMs, retries, retryDelayMs, log } from the run flags.
+// Resolves to the history entry plus the captured stdout (null unless --format json) and `interrupted`.
+const executeCommandRun = async (cmdToRun, { finalCommand, values: placeholderValues = {}, cwd, env }, runOptions = {}) => {
+    const startedAt = new Date();
+    status(chalk.green(`🚀 Running [${formatId(cmdToRun)}${cmdToRun.alias ? '/' + cmdToRun.alias : ''}]: ${finalCommand}${cwd ? chalk.dim(` (in ${cwd})`) : ''}`));
+    const log = runOptions.log ? openRunLog(formatId(cmdToRun), finalCommand, startedAt) : null;
+    const { exitCode, stdout, signal, timedOut, interrupted, attempts } = await runWithRetries({ finalCommand, cwd, env }, { ...runOptions, logStream: log?.stream });
+    if (exitCode === 0) {
+        status(chalk.green(`✅ Command [${formatId(cmdToRun)}] finished.`));
+    } else {
+        status(chalk.red(`❌ Command [${formatId(cmdToRun)}] ${interrupted ? 'was interrupted' : 'failed'}.`));
+        if (!signal && !timedOut) status(chalk.red(`   Exit code: ${exitCode}`));
+    }
+    if (log) await closeRunLog(log, { exitCode, durationMs: Date.now() - startedAt.getTime() });
+
+    const entry = {
+        id: cmdToRun.id,
+        store: getStoreKey(cmdToRun),
+        alias: cmdToRun.alias,
+        command: finalCommand,
+        values: placeholderValues, // Lets `dumb rerun` repeat this exact call
+        cwd: cwd || process.cwd(),
+        startedAt: startedAt.toISOString(),
+        durationMs: Date.now() - startedAt.getTime(),
+        exitCode,
+        ...(attempts > 1 && { attempts }),
+        ...(timedOut && { timedOut }),
+        ...(log && { log: log.file })
+    };
+    appendHistory(entry);
+    if (exitCode === 0) markVerified(cmdToRun);
+    return { ...entry, stdout, interrupted };
+};
+
+// A successful run marks the version of the entry that ran as verified (see `dumb log`)
+const markVerified = (cmd) => {
+    try {
+        store.markVerified(cmd);
+    } catch (err) {
+        status(chalk.yellow(`⚠️ Warning: could not mark #${formatId(cmd)} as verified: ${err.message}`));
+    }
+};
+
+// The --format json result of a run
+const toRunResult = (cmd, entry) => ({
+    id: formatId(cmd),
+    alias: cmd.alias || null,
+    command: entry.command,
+    cwd: entry.cwd,
+    values: entry.values,
+    startedAt: entry.startedAt,
+    durationMs: entry.durationMs,
+    exitCode: entry.exitCode,
+    attempts: entry.attempts || 1,
+    timedOut: Boolean(entry.timedOut),
+    log: entry.log || null,
+    stdout: entry.stdout
+});
+
+// The --timeout/--retry/--retry-delay/--log flags as executeCommandRun's `runOptions`, or null
+// (after reporting the problem) when one of them is invalid
+const parseRunOptions = ({ timeout, retry = 0, retryDelay = DEFAULT_RETRY_DELAY, log = false } = {}) => {
+    const timeoutMs = timeout === undefined ? undefined : parseDuration(timeout);
+    const retryDelayMs = parseDuration(retryDelay);
+    if (timeoutMs === null || timeoutMs === 0) {
+        fail(`❌ Invalid --timeout "${timeout}". Use e.g. 30s, 5m or 1h.`);
+        return null;
+    }
+    if (retryDelayMs === null) {
+        fail(`❌ Invalid --retry-delay "${retryDelay}". Use e.g. 500ms, 5s or 1m.`);
+        return null;
+    }
+    if (!Number.isInteger(retry) || retry < 0) {
+        fail('❌ --retry takes the number of extra attempts, e.g. --retry 3.');
+        return null;
+    }
+    return { timeoutMs, retries: retry, retryDelayMs, log };
+};
+
+// `options.presetValues` pre-fills placeholders (used by rerun); `options.here` runs in the current
+// directory instead of the stored one; `options.dryRun` only prints the final command;
+// `options.confirmAs` pre-answers the typed confirmation (see confirmRun); `options.timeout`,
+// `retry`, `retryDelay` and `log` are the flags of the same names (see parseRunOptions).
+// Workflows are handed to handleRunWorkflow. The process exits with the command's exit code.
+const handleRunCommand = async (specifier, runtimeArgs = [], { presetValues = {}, here = false, dryRun = false, confirmAs, timeout, retry, retryDelay, log } = {}) => {
+    if (!specifier) return fail(`❌ Please provide the ID or Alias of the command to run.`);
+    const runOptions = parseRunOptions({ timeout, retry, retryDelay, log });
+    if (!runOptions) return;
+
+    const commands = store.load();
+    const found = findCommandByIdOrAlias(specifier, commands);
+
+    if (!found) {
+        return fail(`❌ Command with ID or Alias "${specifier}" not found.`);
+    }
+
+    const { command: cmdToRun } = found;
+    if (cmdToRun.type === 'workflow') {
+        return handleRunWorkflow(cmdToRun, runtimeArgs, presetValues, { here, dryRun, confirmAs, runOptions });
+    }
+
+    let prepared = await prepareCommandRun(cmdToRun, runtimeArgs, presetValues, { here });
+    if (!prepared) return;
+    let dangers = findRunDangers(prepared);
+    if (dryRun) { // {sh:...} commands are listed, not run
+        printDryRun(`Dry run #${formatId(cmdToRun)}`, cmdToRun, prepared, dangers);
+        if (outputFormat === 'json') {
+            console.log(JSON.stringify({ id: formatId(cmdToRun), alias: cmdToRun.alias || null, command: prepared.finalCommand, cwd: prepared.cwd || null, env: prepared.env || null, dryRun: true }, null, 2));
+        }
+        return;
+    }
+
+    const runMessage = ({ finalCommand, slots, shell, ...context }) =>
+        `Run command #${formatId(cmdToRun)} [${chalk.cyan(finalCommand)}]${slots.length > 0 ? chalk.dim(` (quoted for ${shell})`) : ''}${describeRunContext(context)}?`;
+    let confirmTarget = cmdToRun;
+    if (prepared.pending.length > 0) {
+        // {sh:...} commands run only after the same confirmation as the command itself; what they
+        // printed is then shown in a second one (typed again only if it made the command dangerous)
+        if (!(await confirmRun(cmdToRun, runMessage(prepared), { dangers, confirmAs }))) return status(chalk.yellow('⚠️ Execution canceled.'));
+        prepared = runPendingSources(cmdToRun, prepared, { here });
+        if (!prepared) return;
+        dangers = addedDangers(dangers, findDangers(prepared.finalCommand, getDangerRules()));
+        confirmTarget = { ...cmdToRun, protected: false };
+    }
+    const confirmed = await confirmRun(confirmTarget, runMessage(prepared), { dangers, confirmAs });
+
+    if (!confirmed) return status(chalk.yellow('⚠️ Execution canceled.'));
+
+    const result = await executeCommandRun(cmdToRun, prepared, runOptions);
+    if (outputFormat === 'json') console.log(JSON.stringify(toRunResult(cmdToRun, result), null, 2));
+    if (result.exitCode !== 0) process.exitCode = result.exitCode;
 };
 
-// Helper to find a command by ID or Alias
-const findCommandByIdOrAlias = (specifier, commands) => {
-    const searchLower = String(specifier).toLowerCase(); // Ensure string comparison
-    const idSearch = parseInt(specifier, 10); // Attempt to parse as ID
+// Workflow Run Logic
+// Runs the steps in order. `name=value` arguments are handed to every step with a placeholder of
+// that name (a step's own stored arguments take precedence). Ends with a table of step results.
+// Dangerous or protected steps ask for typed confirmation; `confirmAs` naming the workflow covers them all.
+// `runOptions` (timeout, retries, log) apply to every step; inline steps share one log for the workflow.
+const handleRunWorkflow = async (workflow, runtimeArgs = [], presetValues = {}, { here = false, dryRun = false, confirmAs, runOptions = {} } = {}) => {
+    const commands = store.load();
+    const steps = workflow.steps || [];
+    const onFailure = workflow.onFailure === 'continue' ? 'continue' : 'stop';
+
+    const shared = { ...presetValues };
+    const ignored = [];
+    runtimeArgs.forEach(arg => {
+        const pair = String(arg).match(/^([A-Za-z_][\w-]*)=(.*)$/s);
+        if (pair) shared[pair[1]] = pair[2];
+        else ignored.push(arg);
+    });
+    if (ignored.length > 0) {
+        status(chalk.yellow(`⚠️ Warning: workflows only take name=value arguments; ignored: ${ignored.join(' ')}`));
+    }
+    if (steps.length === 0) return fail(`❌ Workflow #${formatId(workflow)} has no steps.`);
+
+    status(chalk.blue(`⛓  Workflow #${formatId(workflow)}${workflow.alias ? ` (${workflow.alias})` : ''}: ${steps.length} step(s), ${onFailure === 'stop' ? 'stops at the first failure' : 'continues after failures'}`));
+    steps.forEach((step, index) => status(`   ${index + 1}. ${describeWorkflowStep(step, commands, { showCommand: true })}`));
+    if (!dryRun) {
+        const confirmed = await confirmRun(workflow, `Run workflow #${formatId(workflow)}?`, { confirmAs });
+        if (!confirmed) return status(chalk.yellow('⚠️ Execution canceled.'));
+    }
+    const confirmedWorkflow = confirmAs !== undefined && matchesCommand(workflow, confirmAs);
+
+    const startedAt = new Date();
+    const workflowLog = runOptions.log && !dryRun && steps.some(step => step.run !== undefined)
+        ? openRunLog(formatId(workflow), workflow.command, startedAt)
+        : null;
+    const results = [];
+    let firstFailure = 0;
+    let stopped = false;
+    for (const [index, step] of steps.entries()) {
+        const label = describeWorkflowStep(step, commands);
+        if (stopped) {
+            results.push({ label, outcome: 'not run', status: chalk.dim('not run') });
+            continue;
+        }
 
-    for (let i = 0; i < commands.length; i++) {
-        const cmd = commands[i];
-        // Check ID first if specifier is a valid number
-        if (!isNaN(idSearch) && cmd.id === idSearch) {
-            return { command: cmd, index: i };
+        // Inline steps run as part of the workflow itself (placeholders work there too)
+        const target = step.run !== undefined
+            ? { ...workflow, command: step.run }
+            : findCommandByIdOrAlias(step.ref, commands)?.command;
+        if (!target || (step.run === undefined && target.type === 'workflow')) {
+            status(chalk.red(`❌ Step ${index + 1}: ${target ? 'workflows cannot run other workflows' : `command #${step.ref} no longer exists`}.`));
+            results.push({ label, outcome: 'missing', status: chalk.red('❌ missing') });
+            firstFailure = firstFailure || 1;
+            stopped = onFailure === 'stop';
+            continue;
         }
-        // Then check alias (case-insensitive)
-        if (cmd.alias && cmd.alias.toLowerCase() === searchLower) {
-             return { command: cmd, index: i };
+        let prepared = await prepareCommandRun(target, step.args || [], shared, { here });
+        if (!prepared) { // Canceled or missing values: don't carry on with half a procedure
+            results.push({ label, outcome: 'canceled', status: chalk.yellow('canceled') });
+            firstFailure = firstFailure || 1;
+            stopped = true;
+            continue;
+        }
+        // Inline steps are covered by the workflow's own protection (confirmed above)
+        const stepTarget = step.run !== undefined ? { ...target, protected: false } : target;
+        const dangers = findRunDangers(prepared);
+        if (dryRun) {
+            printDryRun(`Step ${index + 1}`, stepTarget, prepared, dangers);
+            results.push({ label, outcome: 'dry run', command: prepared.finalCommand });
+            continue;
+        }
+        const stepMessage = `Step ${index + 1}: run [${chalk.cyan(prepared.finalCommand)}]${describeRunContext(prepared)}?`;
+        if (stepTarget.protected || dangers.length > 0) {
+            const stepConfirmed = await confirmRun(stepTarget, stepMessage, { dangers, confirmAs: confirmedWorkflow ? formatId(stepTarget) : confirmAs });
+            if (!stepConfirmed) { // Not a step to skip past silently
+                results.push({ label, outcome: 'canceled', status: chalk.yellow('canceled') });
+                firstFailure = firstFailure || 1;
+                stopped = true;
+                continue;
+            }
+        } else if (step.confirm && !(await confirmAction(stepMessage, true))) {
+            results.push({ label, outcome: 'skipped', status: chalk.yellow('⏭ skipped') });
+            continue;
+        }
+        // The step's {sh:...} commands were listed with the workflow (and checked above); if their
+        // output makes the step dangerous, it is confirmed again
+        if (prepared.pending.length > 0) {
+            prepared = runPendingSources(target, prepared, { here });
+            const added = prepared ? addedDangers(dangers, findDangers(prepared.finalCommand, getDangerRules())) : [];
+            const confirmed = prepared && (added.length === 0 || await confirmRun(
+                { ...stepTarget, protected: false },
+                `Step ${index + 1}: run [${chalk.cyan(prepared.finalCommand)}]${describeRunContext(prepared)}?`,
+                { dangers: added, confirmAs: confirmedWorkflow ? formatId(stepTarget) : confirmAs }
+            ));
+            if (!confirmed) {
+                results.push({ label, outcome: 'canceled', status: chalk.yellow('canceled') });
+                firstFailure = firstFailure || 1;
+                stopped = true;
+                continue;
+            }
+        }
+
+        const stepStart = Date.now();
+        // Inline steps are recorded once, as the workflow run below
+        const { exitCode, stdout, interrupted } = step.run !== undefined
+            ? await runInlineStep(prepared, index + 1, { ...runOptions, logStream: workflowLog?.stream })
+            : await executeCommandRun(target, prepared, runOptions);
+        results.push({
+            label,
+            outcome: exitCode === 0 ? 'ok' : 'failed',
+            status: exitCode === 0 ? chalk.green('✅ ok') : chalk.red(`❌ exit ${exitCode}`),
+            command: prepared.finalCommand,
+            exitCode,
+            stdout,
+            duration: Date.now() - stepStart
+        });
+        if (exitCode !== 0) {
+            firstFailure = firstFailure || exitCode;
+            stopped = onFailure === 'stop' || interrupted; // Ctrl+C ends the whole workflow
         }
     }
-    return null; // Not found
-};
+    // Steps as --format json reports them (labels without colors)
+    const stepRecords = () => results.map((result, index) => ({
+        step: index + 1,
+        ...(steps[index].run !== undefined ? { run: steps[index].run } : { ref: steps[index].ref }),
+        outcome: result.outcome,
+        command: result.command ?? null,
+        exitCode: result.exitCode ?? null,
+        durationMs: result.duration ?? null,
+        stdout: result.stdout ?? null
+    }));
+    if (dryRun) {
+        if (outputFormat === 'json') console.log(JSON.stringify({ id: formatId(workflow), alias: workflow.alias || null, type: 'workflow', dryRun: true, steps: stepRecords() }, null, 2));
+        return;
+    }
 
-// Helper to check Alias uniqueness
-const isAliasUnique = (alias, commands, excludeId = null) => {
-    if (!alias) return true; // Empty/false alias is always "unique"
-    const aliasLower = alias.toLowerCase();
-    return !commands.some(cmd =>
-        cmd.alias &&
-        cmd.alias.toLowerCase() === aliasLower &&
-        cmd.id !== excludeId // Don't compare against the command being edited
-    );
+    const table = new Table({
+        head: [chalk.bold('#'), chalk.bold('Step'), chalk.bold('Result'), chalk.bold('Duration')],
+        colWidths: [4, 50, 14, 10],
+        wordWrap: true,
+        style: { head: ['cyan'] }
+    });
+    results.forEach((result, index) => table.push([index + 1, result.label, result.status, result.duration === undefined ? chalk.dim('—') : formatDuration(result.duration)]));
+    status(table.toString());
+    status(firstFailure === 0
+        ? chalk.green(`✅ Workflow #${formatId(workflow)} finished in ${formatDuration(Date.now() - startedAt.getTime())}.`)
+        : chalk.red(`❌ Workflow #${formatId(workflow)} had failures.`));
+
+    const entry = {
+        id: workflow.id,
+        store: getStoreKey(workflow),
+        alias: workflow.alias,
+        command: workflow.command,
+        values: shared, // Lets `dumb rerun` repeat this exact call
+        cwd: process.cwd(),
+        startedAt: startedAt.toISOString(),
+        durationMs: Date.now() - startedAt.getTime(),
+        exitCode: firstFailure,
+        ...(workflowLog && { log: workflowLog.file })
+    };
+    if (workflowLog) await closeRunLog(workflowLog, entry);
+    appendHistory(entry);
+    if (firstFailure === 0 && results.every(result => result.outcome === 'ok')) markVerified(workflow);
+    if (outputFormat === 'json') {
+        const { stdout, ...result } = toRunResult(workflow, entry); // Output is per step
+        console.log(JSON.stringify({ ...result, type: 'workflow', steps: stepRecords() }, null, 2));
+    }
+    if (firstFailure !== 0) process.exitCode = firstFailure;
 };
 
-// Helper to get the next available ID
-const getNextId = () => {
-    const config = readConfig();
-    const nextId = config.nextId;
-    config.nextId += 1;
-    writeConfig(config);
-    return nextId;
+// Run an inline (sh:) workflow step, prepared like a command. `runOptions` are runWithRetries' options.
+// Resolves to { exitCode, stdout, interrupted, ... } (see runPrepared).
+const runInlineStep = async (prepared, stepNumber, runOptions = {}) => {
+    status(chalk.green(`🚀 Step ${stepNumber}: ${prepared.finalCommand}${prepared.cwd ? chalk.dim(` (in ${prepared.cwd})`) : ''}`));
+    runOptions.logStream?.write(`\n# step ${stepNumber}: ${prepared.finalCommand}\n`);
+    const result = await runWithRetries(prepared, runOptions);
+    if (result.exitCode !== 0) status(chalk.red(`❌ Step ${stepNumber} failed (exit code ${result.exitCode}).`));
+    return result;
 };
 
-// --- Command Implementation Functions ---
-
-// Add Command Logic
-const handleAddCommand = async (initialCommand = '', initialAlias = '', initialComment = '') => {
-    const commands = readCommands();
-
-    const response = await prompts([
-        {
-            type: 'text',
-            name: 'command',
-            message: 'Enter the full command (use {} for dynamic parts)',
-            initial: initialCommand,
-            validate: value => value.trim() ? true : 'Command cannot be empty.'
-        },
-        {
-            type: 'text',
-            name: 'alias',
-            message: `Enter a short alias (optional, unique, no spaces/colons)`,
-            initial: initialAlias,
-            validate: value => {
-                if (!value) return true; // Optional is fine
-                if (/\s|:/.test(value)) return 'Alias cannot contain spaces or colons.';
-                if (!isAliasUnique(value.trim(), commands)) {
-                    return `Alias "${value.trim()}" is already in use.`;
-                }
-                return true;
+// Harvest Command Logic
+// Offers commands from shell history or project scripts in a checklist, then saves each pick
+// (with a suggested alias) through handleAddCommand, so the usual validation applies.
+const handleHarvestCommand = async (source, { file, project = false, limit = 100, list = false } = {}) => {
+    let candidates;
+    let sourceFile;
+    try {
+        if (HISTORY_SOURCES[source]) {
+            sourceFile = path.resolve(file || HISTORY_SOURCES[source].file());
+            candidates = collectHistoryCandidates(HISTORY_SOURCES[source].parse(sourceFile));
+        } else {
+            sourceFile = path.resolve(file || source);
+            if (fs.existsSync(sourceFile) && fs.lstatSync(sourceFile).isDirectory()) {
+                sourceFile = ['package.json', 'Makefile', 'makefile', 'GNUmakefile'].map(name => path.join(sourceFile, name)).find(fs.existsSync) || sourceFile;
             }
-        },
-        {
-            type: 'text',
-            name: 'comment',
-            message: 'Enter a comment (optional)',
-            initial: initialComment
+            if (!fs.existsSync(sourceFile) || !fs.lstatSync(sourceFile).isFile()) {
+                return fail(`❌ Unknown source "${source}". Use bash, zsh, fish, or a path to a package.json or Makefile.`);
+            }
+            candidates = path.basename(sourceFile) === 'package.json' ? parsePackageScripts(sourceFile) : parseMakefileTargets(sourceFile);
         }
-    ]);
+    } catch (err) {
+        return fail(`❌ Error reading ${sourceFile || source}: ${err.message}`);
+    }
 
-    // Handle Ctrl+C or empty essential fields
-    if (!response.command) {
-        console.log(chalk.yellow('⚠️ Add command canceled.'));
+    // Skip what's already stored (in either store)
+    const stored = new Set(store.load().map(cmd => normalizeCommandText(cmd.command)));
+    const total = candidates.length;
+    candidates = candidates.filter(candidate => !stored.has(normalizeCommandText(candidate.command))).slice(0, limit);
+    if (candidates.length === 0) {
+        return console.log(chalk.yellow(`ℹ️ Nothing new to harvest from ${sourceFile} (${total} found, all filtered or already saved).`));
+    }
+    console.log(chalk.blue(`🌾 ${candidates.length} candidate(s) from ${sourceFile}${total > candidates.length ? ` (of ${total})` : ''}.`));
+
+    if (list) {
+        candidates.forEach(({ command, comment, count }) => {
+            console.log(`${chalk.white(command)}${count > 1 ? chalk.dim(`  (×${count})`) : ''}${comment ? chalk.grey(`  # ${comment}`) : ''}`);
+        });
         return;
     }
 
-    const newId = getNextId();
-    const alias = response.alias?.trim() || false; // Use optional chaining and ensure false if empty
-    const comment = response.comment?.trim() || false;
+    const selection = await ask({
+        type: 'multiselect',
+        name: 'picked',
+        message: 'Select the commands to save (space to toggle, enter to confirm)',
+        choices: candidates.map((candidate, index) => ({
+            title: `${candidate.command.replace(/\n/g, ' ⏎ ')}${candidate.count > 1 ? ` (×${candidate.count})` : ''}`,
+            description: candidate.comment || undefined,
+            value: index
+        })),
+        hint: '- Space to select. Return to submit',
+        instructions: false
+    }, `dumb harvest ${source} --list, then dumb add --command "<command>" --alias <alias>`);
+    if (!selection) return; // Not a terminal; ask() already explained why
+    if (!selection.picked?.length) return console.log(chalk.yellow('⚠️ Nothing selected.'));
+
+    const scope = project ? 'project' : 'global';
+    for (const index of selection.picked) {
+        const candidate = candidates[index];
+        const scopeCommands = commandsInScope(store.load(), scope); // Re-read: previous picks took aliases
+        const response = await prompts({
+            type: 'text',
+            name: 'alias',
+            message: `Alias for ${chalk.white(candidate.command.replace(/\n/g, ' ⏎ '))} (optional)`,
+            initial: uniqueAlias(candidate.alias || suggestAlias(candidate.command), scopeCommands),
+            validate: value => validateAlias(value, scopeCommands)
+        });
+        if (response.alias === undefined) return console.log(chalk.yellow('⚠️ Harvest stopped; the commands saved so far are kept.'));
+        await handleAddCommand({ command: candidate.command, alias: response.alias.trim(), comment: candidate.comment }, { project });
+    }
+};
 
-    // Check uniqueness again just in case (though validate should catch it)
-    if (alias && !isAliasUnique(alias, commands)) {
-         console.error(chalk.red(`❌ Alias "${alias}" conflict detected unexpectedly. Aborting.`));
-         return; // Should not happen if validation works
+// Export Command Logic
+// Picks commands (all, `--ids`, and/or a `--query`), renders them in the chosen format and writes
+// them to `--out` (a file, or `-` for stdout) or to a timestamped file in `exportPath`.
+const handleExportCommand = (exportPath, { format = 'json', ids, query, out } = {}) => {
+    const { content, extension, commands } = store.exportCommands({ format, ids, query });
+    if (commands.length === 0) {
+        return console.error(chalk.yellow('ℹ️ No commands to export.'));
     }
 
-    commands.push({ // Add to the end now, sort later or rely on ID for order
-        id: newId,
-        command: response.command.trim(),
-        alias: alias,
-        comment: comment
-    });
-    writeCommands(commands);
-    console.log(chalk.green(`✔️ Command added successfully (ID: ${newId}${alias ? `, Alias: ${alias}` : ''}).`));
-};
+    if (out === '-') {
+        return process.stdout.write(content);
+    }
 
+    let targetPath = path.resolve(exportPath || '.'); // Default to current dir if no path given
+    let targetFile;
 
-// List Command Logic
-const handleListCommands = () => {
-  const commands = readCommands();
-  if (commands.length === 0) return console.log(chalk.yellow('ℹ️ No commands saved yet. Use "dumb add" to add one.'));
+    try {
+        if (out) {
+            targetFile = path.resolve(out);
+        } else {
+            // Check if path exists and is a directory
+            if (!fs.existsSync(targetPath) || !fs.lstatSync(targetPath).isDirectory()) {
+                 return fail(`❌ Error: Export path "${targetPath}" is not a valid directory or does not exist.`);
+             }
 
-  const table = new Table({
-      head: [chalk.bold('ID'), chalk.bold('Alias'), chalk.bold('Command'), chalk.bold('Comment')],
-      colWidths: [5, 15, 50, 30], // Adjusted widths
-      wordWrap: true,
-      style: { head: ['cyan']}
-     });
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const filename = `dumbcli_export_${timestamp}.${extension}`;
+            targetFile = path.join(targetPath, filename);
+        }
 
-  // Sort by ID for display consistency
-  const sortedCommands = commands.sort((a, b) => a.id - b.id);
+        fs.writeFileSync(targetFile, content, 'utf-8');
+        console.log(chalk.green(`✔️ Successfully exported ${commands.length} commands (${format}) to:`));
+        console.log(chalk.white(targetFile));
 
-  sortedCommands.forEach((cmd) => {
-    table.push([
-        chalk.yellow(cmd.id),
-        cmd.alias ? chalk.magenta(cmd.alias) : chalk.dim('-'),
-        chalk.white(cmd.command),
-        cmd.comment ? chalk.grey(cmd.comment) : chalk.dim('—')
-    ]);
-  });
+    } catch (err) {
+        fail(`❌ Error exporting commands to ${targetFile || targetPath}:`);
+        console.error(err);
+    }
+};
 
-  console.log(table.toString());
+// Import Command Logic
+// Three modes: replace the global store (default), append everything (-a), or merge (-m), which
+// matches entries by `uid` or command text and updates them in place instead of duplicating them.
+// Alias clashes follow the --on-conflict policy: skip (import without that alias), rename
+// (alias-2, alias-3...), overwrite (take the alias away from its current owner) or ask.
+// Planning and writing happen in the library (CommandStore#planImport / #importCommands).
+
+// Colored diff of an import plan: + added, ~ changed (with the fields), = unchanged, - removed
+const printImportPlan = (changes, { showUnchanged = true } = {}) => {
+    const formatValue = (value) => value === undefined || value === false ? '(none)' : typeof value === 'string' ? value : JSON.stringify(value);
+    changes.forEach(({ type, cmd, before, notes }) => {
+        if (type === 'unchanged' && !showUnchanged) return;
+        const label = `${cmd.id}${cmd.alias ? ` (${cmd.alias})` : ''}  ${cmd.command}`;
+        if (type === 'add') console.log(chalk.green(`+ ${label}`));
+        if (type === 'remove') console.log(chalk.red(`- ${label}`));
+        if (type === 'unchanged') console.log(chalk.dim(`= ${label}`));
+        if (type === 'update') {
+            console.log(chalk.yellow(`~ ${label}`));
+            diffFields(before, cmd).forEach(key => {
+                console.log(chalk.red(`    - ${key}: ${formatValue(before[key])}`));
+                console.log(chalk.green(`    + ${key}: ${formatValue(cmd[key])}`));
+            });
+        }
+        notes.forEach(note => console.log(chalk.magenta(`    ! ${note}`)));
+    });
+    const count = (type) => changes.filter(change => change.type === type).length;
+    console.log(chalk.bold(`\n${count('add')} added, ${count('update')} changed, ${count('unchanged')} unchanged, ${count('remove')} removed.`));
 };
 
-// Delete Command Logic
-const handleDeleteCommand = async (specifier) => {
-    if (!specifier) return console.log(chalk.red(`❌ Please provide the ID or Alias of the command to delete.`));
+const handleImportCommand = async (importFilePath, { append = false, merge = false, onConflict, dryRun = false } = {}) => {
+    const targetPath = path.resolve(importFilePath);
+    // Accepts current exports (JSON or YAML) as well as legacy (plain array) ones
+    const importedCommands = readImportFile(targetPath);
+    if (importedCommands.length === 0) {
+        return console.log(chalk.yellow('ℹ️ No valid commands found in the import file.'));
+    }
 
-    let commands = readCommands();
-    const found = findCommandByIdOrAlias(specifier, commands);
+    console.log(chalk.blue(`Found ${importedCommands.length} potential commands in "${path.basename(targetPath)}".`));
 
-    if (!found) {
-        return console.log(chalk.red(`❌ Command with ID or Alias "${specifier}" not found.`));
+    // Imports always target the global store; project entries are carried over untouched
+    const mode = merge ? 'merge' : append ? 'append' : 'replace';
+    const currentCommands = commandsInScope(store.load(), 'global');
+
+    // Asking needs a terminal: without one (scripts, cron) clashing aliases are skipped, as before
+    // there was a choice, unless --on-conflict says otherwise
+    if (!onConflict && !isInteractive()) {
+        onConflict = 'skip';
+        let clashes = 0;
+        store.planImport(importedCommands, { mode, decideConflict: () => { clashes++; return 'skip'; } });
+        if (clashes > 0) console.log(chalk.yellow(`ℹ️ stdin is not a terminal, so ${clashes} alias conflict(s) are skipped. Choose with --on-conflict rename|overwrite.`));
+    }
+    onConflict ??= 'ask';
+
+    // Settle alias conflicts up front, so the locked write below only replays the answers
+    const decisions = new Map();
+    if (onConflict === 'ask' && !dryRun) {
+        const conflicts = [];
+        store.planImport(importedCommands, { mode, decideConflict: (conflict) => { conflicts.push(conflict); return 'skip'; } });
+        for (const conflict of conflicts) {
+            if (assumeYes) { decisions.set(conflict.index, 'skip'); continue; } // --yes takes the default answer
+            const response = await ask({
+                type: 'select',
+                name: 'resolution',
+                message: `Alias "${conflict.alias}" for "${conflict.command.substring(0, 40)}" is already used by ${conflict.holder.id}. What should happen?`,
+                choices: [
+                    { title: 'Skip: import without this alias', value: 'skip' },
+                    { title: `Rename: use "${conflict.alias}-2" (or the next free number)`, value: 'rename' },
+                    { title: `Overwrite: move the alias from ${conflict.holder.id} to the imported command`, value: 'overwrite' }
+                ]
+            }, `dumb import ${importFilePath}${merge ? ' --merge' : append ? ' --append' : ''} --on-conflict skip|rename|overwrite`);
+            if (!response) return; // Not a terminal; ask() already explained why
+            if (!response.resolution) return console.log(chalk.yellow('⚠️ Import canceled.'));
+            decisions.set(conflict.index, response.resolution);
+        }
     }
+    const decideConflict = (conflict) => onConflict === 'ask' ? (decisions.get(conflict.index) || (dryRun ? 'ask' : 'skip')) : onConflict;
 
-    const { command: cmdToDelete, index: internalIndex } = found;
+    if (dryRun) {
+        printImportPlan(store.planImport(importedCommands, { mode, decideConflict }).changes);
+        return console.log(chalk.dim('Dry run: nothing was written.'));
+    }
 
-    const confirm = await prompts({
-        type: 'confirm',
-        name: 'value',
-        message: `Delete command #${cmdToDelete.id} (${cmdToDelete.alias || 'no alias'}): "${chalk.cyan(cmdToDelete.command)}"?`,
-        initial: false
-    });
+    if (mode === 'replace') {
+        const confirmed = await confirmAction(
+            chalk.red(`⚠️ WARNING: This will ERASE ALL ${currentCommands.length} existing global commands and replace them with the imported ones. Are you sure?`),
+            false
+        );
 
-    if (confirm.value) {
-        commands.splice(internalIndex, 1);
-        writeCommands(commands);
-        console.log(chalk.green(`✔️ Command #${cmdToDelete.id} deleted successfully.`));
-    } else {
-        console.log(chalk.yellow('⚠️ Deletion canceled.'));
+        if (!confirmed) return console.log(chalk.yellow('⚠️ Import (overwrite) canceled.'));
     }
-};
 
-// Edit Command Logic
-const handleEditCommand = async (specifier) => {
-    if (!specifier) return console.log(chalk.red(`❌ Please provide the ID or Alias of the command to edit.`));
+    console.log(chalk.yellow({ merge: 'Merging imported commands...', append: 'Appending imported commands...', replace: 'Replacing existing commands...' }[mode]));
 
-    let commands = readCommands();
-    const found = findCommandByIdOrAlias(specifier, commands);
+    // Planned again under the store lock, from a fresh read
+    const plan = store.importCommands(importedCommands, { mode, decideConflict });
 
-    if (!found) {
-        return console.log(chalk.red(`❌ Command with ID or Alias "${specifier}" not found.`));
+    printImportPlan(plan.changes, { showUnchanged: false });
+    console.log(chalk.green(`✔️ Import complete. Total global commands now: ${plan.result.length}.`));
+};
+
+// Dump Command Logic
+// The store files as they are on disk. As data: JSON gets [{ file, scope, data }], plain and csv
+// get every command with all of its fields.
+const handleDumpCommand = () => {
+    if (outputFormat === 'plain' || outputFormat === 'csv') {
+        return printData(store.load().sort(compareCommands).map(toRecord), [
+            ...COMMAND_COLUMNS,
+            ['type', cmd => cmd.type],
+            ['cwd', cmd => cmd.cwd],
+            ['env', cmd => cmd.env && formatEnv(cmd.env)],
+            ['protected', cmd => cmd.protected],
+            ['uid', cmd => cmd.uid]
+        ]);
     }
 
-    const { command: cmdToEdit, index: internalIndex } = found;
+    const dumps = [];
+    [[store.projectFile, 'project'], [store.commandsFile, 'global']].filter(([file]) => file).forEach(([file, scope]) => {
+        try {
+            const rawData = fs.existsSync(file) ? fs.readFileSync(file, 'utf-8') : '[]';
+            if (outputFormat === 'json') return dumps.push({ file, scope, data: JSON.parse(rawData) });
+            console.log(chalk.magenta(`📂 Raw data from ${file}:`));
+            console.log(rawData);
+        } catch (err) {
+            fail(`❌ Error reading raw data from ${file}: ${err.message}`);
+        }
+    });
+    if (outputFormat === 'json') console.log(JSON.stringify(dumps, null, 2));
+};
 
-    console.log(chalk.blue(`Editing command #${cmdToEdit.id} (${cmdToEdit.alias || 'no alias'}):`));
-    console.log(`  Current Command: ${chalk.cyan(cmdToEdit.command)}`);
-    console.log(`  Current Alias:   ${cmdToEdit.alias ? chalk.magenta(cmdToEdit.alias) : chalk.dim('-')}`);
-    console.log(`  Current Comment: ${cmdToEdit.comment ? chalk.grey(cmdToEdit.comment) : chalk.dim('—')}`);
+// Show Command Logic
+// Everything about one entry: its fields, placeholders, where it runs and how its runs went.
+const handleShowCommand = (specifier) => {
+    const cmd = store.resolve(specifier);
+    const usage = getCommandUsage(cmd, getUsageStats());
+    const slots = cmd.type === 'workflow' ? [] : parseEntryPlaceholders(cmd).slots;
+    const record = {
+        ...toRecord(cmd),
+        placeholders: slots.map(slot => ({ name: slot.name, default: slot.defaultValue ?? null })),
+        file: cmd.scope === 'project' ? store.projectFile : store.commandsFile,
+        runs: usage.count,
+        lastRun: usage.lastRun,
+        lastFailed: usage.lastFailed,
+        lastExitCode: usage.lastExitCode
+    };
+
+    if (outputFormat === 'json') return console.log(JSON.stringify(record, null, 2));
+    const fields = [
+        ['id', record.id],
+        ['uid', record.uid],
+        ['scope', record.scope],
+        ['alias', record.alias],
+        ['type', record.type || 'command'],
+        ['command', cmd.type === 'workflow' ? (cmd.steps || []).map(formatWorkflowStep).join(' → ') : record.command],
+        ['comment', record.comment],
+        ['tags', record.tags],
+        ['cwd', record.cwd],
+        ['env', record.env && formatEnv(record.env)],
+        ['protected', record.protected],
+        ['placeholders', slots.map(describeSlot)],
+        ['file', record.file],
+        ['runs', record.runs],
+        ['lastRun', record.lastRun],
+        ['lastFailed', record.lastFailed],
+        ['lastExitCode', record.lastExitCode]
+    ];
+    if (outputFormat === 'plain' || outputFormat === 'csv') {
+        // One "field<TAB>value" line per field (plain), or a single csv row
+        return outputFormat === 'csv'
+            ? printData([record], fields.map(([key], index) => [key, () => fields[index][1]]))
+            : printData(fields, [['field', ([key]) => key], ['value', ([, value]) => value]]);
+    }
 
-    const response = await prompts([
-        {
-            type: 'text',
-            name: 'newCommand',
-            message: 'Enter the new command (leave blank to keep current)',
-            initial: cmdToEdit.command
-        },
-        {
-            type: 'text',
-            name: 'newAlias',
-            message: `Enter the new alias (unique, no spaces/colons, blank to keep, " " to clear)`,
-            initial: cmdToEdit.alias || '',
-             validate: value => {
-                 if (value === ' ') return true; // Allow clearing
-                 if (!value) return true; // Allow keeping blank
-                 const newAlias = value.trim();
-                 if (/\s|:/.test(newAlias)) return 'Alias cannot contain spaces or colons.';
-                 // Check uniqueness ONLY if the alias is actually changing to something new
-                 if (newAlias.toLowerCase() !== (cmdToEdit.alias || '').toLowerCase()) {
-                     if (!isAliasUnique(newAlias, commands, cmdToEdit.id)) {
-                         return `Alias "${newAlias}" is already in use.`;
-                     }
-                 }
-                 return true;
-             }
-        },
-        {
-            type: 'text',
-            name: 'newComment',
-            message: 'Enter the new comment (leave blank to keep current, type " " to clear)',
-            initial: cmdToEdit.comment || ''
+    const table = new Table({ colWidths: [16, 80], wordWrap: true });
+    const describe = (key, value) => {
+        if (value === undefined || value === null || value === false || (Array.isArray(value) && value.length === 0)) return chalk.dim('—');
+        if (key === 'tags') return formatTags(value);
+        if (key === 'lastRun' || key === 'lastFailed') return formatTimestamp(value);
+        if (key === 'command' && cmd.type === 'workflow') {
+            return [chalk.cyan(`⛓ workflow (${cmd.onFailure === 'continue' ? 'continue' : 'stop'} on failure)`),
+                ...(cmd.steps || []).map((step, index) => `${index + 1}. ${describeWorkflowStep(step, store.load(), { showCommand: true })}`)].join('\n');
         }
-    ]);
+        return Array.isArray(value) ? value.join(' ') : String(value);
+    };
+    fields.forEach(([key, value]) => table.push({ [chalk.cyan(key)]: describe(key, value) }));
+    console.log(table.toString());
+};
 
-    if (typeof response.newCommand === 'undefined') { // Check if prompts was cancelled (Ctrl+C)
-        return console.log(chalk.yellow('⚠️ Edit canceled.'));
-    }
+// --- Revisions ---
+
+// How `dumb log` describes what produced a revision
+const describeRevisionChange = (revision) => ({
+    initial: 'first seen',
+    external: 'changed elsewhere' // import, sync or a hand edit of the file
+})[revision.operation] || revision.operation;
+
+// A revision field as one line of text, for diffing
+const formatRevisionValue = (key, value) => {
+    if (value === undefined || value === null || value === false) return '';
+    if (key === 'tags') return value.join(' ');
+    if (key === 'env') return formatEnv(value);
+    if (key === 'steps') return value.map(formatWorkflowStep).join(' → ');
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
 
-    let changed = false;
-    const updatedCommand = response.newCommand.trim();
-    const updatedAliasInput = response.newAlias; // Don't trim space meant for clearing
-    const updatedCommentInput = response.newComment; // Don't trim space meant for clearing
+// Word diff with colors, or [-removed-]{+added+} markers when colors are off
+const formatWordDiff = (parts) => parts.map(({ type, text }) => {
+    if (type === 'same') return text;
+    if (chalk.level === 0) return type === 'removed' ? `[-${text}-]` : `{+${text}+}`;
+    return type === 'removed' ? chalk.red.strikethrough(text) : chalk.green(text);
+}).join('');
+
+// Look up a revision given on the command line: a number, optionally "r"-prefixed, or "verified"
+const findRevision = (revisions, rev) => {
+    if (String(rev).toLowerCase() === 'verified') return [...revisions].reverse().find(revision => revision.verifiedAt);
+    return revisions.find(revision => revision.rev === Number(String(rev).replace(/^r/i, '')));
+};
 
-    // Update Command
-    if (updatedCommand && updatedCommand !== cmdToEdit.command) {
-        commands[internalIndex].command = updatedCommand;
-        changed = true;
+// Log Command Logic
+// Lists the saved versions of one entry, oldest first, marking verified ones and the current one.
+const handleLogCommand = (specifier) => {
+    const cmd = store.resolve(specifier);
+    const revisions = store.revisions(cmd);
+    if (outputFormat !== 'table') {
+        return printData(revisions, [
+            ['rev', revision => revision.rev],
+            ['savedAt', revision => revision.savedAt],
+            ['change', revision => revision.operation],
+            ['verifiedAt', revision => revision.verifiedAt],
+            ['current', revision => revision.current],
+            ['command', revision => revision.entry.command]
+        ]);
+    }
+    if (revisions.length === 0) {
+        return console.log(chalk.yellow(`ℹ️ No revisions of #${formatId(cmd)} yet. They are saved from the first edit on.`));
     }
 
-    // Update Alias
-    let finalAlias = cmdToEdit.alias; // Start with current
-    if (updatedAliasInput === ' ') { // Clear alias
-        if (cmdToEdit.alias !== false) { // Only mark change if it wasn't already false
-             finalAlias = false;
-             changed = true;
-        }
-    } else if (updatedAliasInput.trim() && updatedAliasInput.trim() !== (cmdToEdit.alias || '')) { // Set new alias
-        finalAlias = updatedAliasInput.trim();
-        changed = true;
-    } // If blank, keep current - no change needed explicitly
-    commands[internalIndex].alias = finalAlias;
+    const table = new Table({
+        head: [chalk.bold('Rev'), chalk.bold('Saved'), chalk.bold('Change'), chalk.bold('Verified'), chalk.bold('Command')],
+        colWidths: [12, 24, 18, 10, 50],
+        wordWrap: true,
+        style: { head: ['cyan'] }
+    });
+    revisions.forEach(revision => table.push([
+        chalk.yellow(`r${revision.rev}`) + (revision.current ? chalk.green(' ← now') : ''),
+        revision.savedAt ? formatTimestamp(revision.savedAt) : chalk.dim('—'),
+        chalk.magenta(describeRevisionChange(revision)),
+        revision.verifiedAt ? chalk.green('✔') : '',
+        revision.entry.command
+    ]));
+    console.log(chalk.blue(`Revisions of #${formatId(cmd)}${cmd.alias ? ` (${cmd.alias})` : ''}:`));
+    console.log(table.toString());
+    if (!revisions.some(revision => revision.current)) {
+        console.log(chalk.yellow('⚠️ The current version was changed elsewhere and is not saved as a revision yet; the next edit or successful run saves it.'));
+    }
+    console.log(chalk.dim(`Use "dumb diff ${specifier} <rev>" to compare with the current version, "dumb revert ${specifier} <rev>" to go back.`));
+};
 
+// Diff Command Logic
+// Compares a revision (by default the one before the current version) with the current version,
+// word by word for every changed field.
+const handleDiffCommand = (specifier, rev) => {
+    const cmd = store.resolve(specifier);
+    const revisions = store.revisions(cmd);
+    let revision;
+    if (rev === undefined) {
+        const currentIndex = revisions.findIndex(candidate => candidate.current);
+        revision = currentIndex === -1 ? revisions[revisions.length - 1] : revisions[currentIndex - 1];
+        if (!revision) return console.log(chalk.yellow(`ℹ️ #${formatId(cmd)} has no earlier revision to compare with.`));
+    } else {
+        revision = findRevision(revisions, rev);
+        if (!revision) return fail(`❌ #${formatId(cmd)} has no revision "${rev}". Use "dumb log ${specifier}" to see its revisions.`);
+    }
 
-    // Update Comment
-    if (updatedCommentInput === ' ') { // Clear comment
-        if (cmdToEdit.comment !== false) {
-             commands[internalIndex].comment = false;
-             changed = true;
-        }
-    } else if (updatedCommentInput.trim() && updatedCommentInput.trim() !== (cmdToEdit.comment || '')) { // Set new comment
-        commands[internalIndex].comment = updatedCommentInput.trim();
-        changed = true;
-    } // If blank, keep current
+    const { id, uid, scope, ...current } = cmd;
+    const fields = [...new Set([...Object.keys(revision.entry), ...Object.keys(current)])]
+        .filter(key => formatRevisionValue(key, revision.entry[key]) !== formatRevisionValue(key, current[key]));
+    const changes = fields.map(field => {
+        const before = formatRevisionValue(field, revision.entry[field]);
+        const after = formatRevisionValue(field, current[field]);
+        return { field, before, after, parts: diffWords(before, after) };
+    });
 
-    if (changed) {
-        // Final uniqueness check before writing (paranoid, but safe)
-        if (commands[internalIndex].alias && !isAliasUnique(commands[internalIndex].alias, commands, cmdToEdit.id)) {
-            console.error(chalk.red(`❌ Alias "${commands[internalIndex].alias}" conflict detected unexpectedly. Aborting.`));
-            return;
-        }
-        writeCommands(commands);
-        console.log(chalk.green(`✔️ Command #${cmdToEdit.id} updated successfully.`));
-    } else {
-        console.log(chalk.yellow('ℹ️ No changes detected.'));
+    if (outputFormat === 'json') {
+        return console.log(JSON.stringify({ id: formatId(cmd), rev: revision.rev, changes: changes.map(({ parts, ...change }) => change) }, null, 2));
     }
+    if (outputFormat !== 'table') {
+        return printData(changes, [['field', change => change.field], ['before', change => change.before], ['after', change => change.after]]);
+    }
+    if (changes.length === 0) return console.log(chalk.green(`✔️ #${formatId(cmd)} is the same as r${revision.rev}.`));
+    console.log(chalk.blue(`Changes to #${formatId(cmd)} since r${revision.rev} (${describeRevisionChange(revision)}${revision.savedAt ? `, ${formatTimestamp(revision.savedAt)}` : ''}):`));
+    changes.forEach(change => console.log(`  ${chalk.cyan(change.field.padEnd(9))} ${formatWordDiff(change.parts)}`));
 };
 
-// Find Command Logic
-const handleFindCommand = (query) => {
-  if (!query) return console.log(chalk.red(`❌ Please provide a search query.`));
+// Revert Command Logic
+// Makes an earlier revision (or the last verified one) the current version; saved as a new
+// revision itself, and undoable like any other change.
+const handleRevertCommand = (specifier, rev) => {
+    const cmd = store.resolve(specifier);
+    const revision = findRevision(store.revisions(cmd), rev);
+    if (!revision) {
+        return fail(String(rev).toLowerCase() === 'verified'
+            ? `❌ #${formatId(cmd)} has no verified revision yet; one is marked after every successful run.`
+            : `❌ #${formatId(cmd)} has no revision "${rev}". Use "dumb log ${specifier}" to see its revisions.`);
+    }
+    if (revision.current) return console.log(chalk.yellow(`ℹ️ #${formatId(cmd)} is already at r${revision.rev}.`));
 
-  const commands = readCommands();
-  const queryLower = query.toLowerCase();
+    const reverted = store.revert(cmd, revision.rev);
+    console.log(chalk.green(`✔️ #${formatId(reverted)} reverted to r${revision.rev}: ${chalk.cyan(reverted.command)}`));
+    console.log(chalk.dim('Changed your mind? "dumb undo" takes it back.'));
+};
 
-  const results = commands.filter(cmd =>
-      cmd.command.toLowerCase().includes(queryLower) ||
-      (cmd.alias && cmd.alias.toLowerCase().includes(queryLower)) || // Search alias too
-      (cmd.comment && cmd.comment.toLowerCase().includes(queryLower))
-  ).sort((a, b) => a.id - b.id); // Sort results by ID
+// Undo Command Logic
+// Rolls back the newest snapshot, i.e. the last mutating operation, and drops that snapshot.
+const handleUndoCommand = async () => {
+    const [latest] = store.listSnapshots();
+    if (!latest) return fail('❌ Nothing to undo; no snapshots found.');
 
-  if (results.length === 0) return console.log(chalk.yellow(`ℹ️ No commands found matching "${query}".`));
+    // A file damaged outside dumb isn't fixed by dropping dumb's last change
+    let damaged = null;
+    try {
+        store.load();
+    } catch (err) {
+        if (!(err instanceof StoreReadError)) throw err;
+        damaged = err.filePath;
+        console.log(chalk.yellow(`⚠️ ${damaged} can't be read. Undo only rolls back dumb's last change ("${latest.operation}");`));
+        console.log(chalk.yellow('   "dumb restore --list" shows every earlier state to pick from.'));
+    }
 
-  console.log(chalk.blue(`🔍 Found ${results.length} command(s) matching "${query}":`));
+    const files = latest.files.map(file => file.path).join(', ');
+    const confirmed = await confirmAction(`Undo "${latest.operation}" from ${formatTimestamp(latest.createdAt)} (${files})?`, !damaged);
+    if (!confirmed) return console.log(chalk.yellow('⚠️ Undo canceled.'));
 
-  results.forEach(cmd => {
-    console.log(`\n[${chalk.yellow(cmd.id)}] ${cmd.alias ? chalk.magenta(`(${cmd.alias})`) : ''} 📌 ${chalk.white(cmd.command)}`);
-    if (cmd.comment) console.log(`      💬 ${chalk.grey(cmd.comment)}`);
-  });
+    store.undo();
+    console.log(chalk.green(`✔️ Undid "${latest.operation}".`));
 };
 
-// Run Command Logic (with Dynamic Placeholders)
-const handleRunCommand = async (specifier, runtimeArgs) => {
-    if (!specifier) return console.log(chalk.red(`❌ Please provide the ID or Alias of the command to run.`));
+// Restore Command Logic
+// Without a number (or with --list) shows available snapshots; `restore <n>` rolls back to
+// the state before the n-th most recent change. The current state is snapshotted first.
+const handleRestoreCommand = async (number, listOnly) => {
+    const snapshots = store.listSnapshots();
+    if (snapshots.length === 0) return console.log(chalk.yellow('ℹ️ No snapshots yet. They are taken automatically before every change.'));
+
+    if (listOnly || number === undefined) {
+        const table = new Table({
+            head: [chalk.bold('#'), chalk.bold('Taken'), chalk.bold('Before'), chalk.bold('Files')],
+            colWidths: [5, 24, 12, 60],
+            wordWrap: true,
+            style: { head: ['cyan'] }
+        });
+        snapshots.forEach((snapshot, index) => {
+            table.push([chalk.yellow(index + 1), formatTimestamp(snapshot.createdAt), chalk.magenta(snapshot.operation), snapshot.files.map(file => file.path).join('\n')]);
+        });
+        console.log(table.toString());
+        return console.log(chalk.dim('Use "dumb restore <#>" to roll back to the state before that change.'));
+    }
 
-    const commands = readCommands();
-    const found = findCommandByIdOrAlias(specifier, commands);
+    const snapshot = snapshots[number - 1];
+    if (!snapshot) return fail(`❌ No snapshot #${number}. Use "dumb restore --list" to see what's available.`);
 
-    if (!found) {
-        return console.log(chalk.red(`❌ Command with ID or Alias "${specifier}" not found.`));
-    }
+    const confirmed = await confirmAction(`Restore the state from before "${snapshot.operation}" at ${formatTimestamp(snapshot.createdAt)}?`, false);
+    if (!confirmed) return console.log(chalk.yellow('⚠️ Restore canceled.'));
 
-    const { command: cmdToRun } = found;
-    let commandString = cmdToRun.command;
+    store.restoreSnapshot(snapshot); // Snapshots the current state first, so the restore itself can be undone
+    console.log(chalk.green(`✔️ Restored snapshot #${number}.`));
+};
 
-    // --- Dynamic Placeholder Handling ---
-    const placeholder = '{}';
-    const placeholderCount = (commandString.match(/{}/g) || []).length;
-
-    if (placeholderCount > 0) {
-        if (runtimeArgs.length < placeholderCount) {
-            return console.log(chalk.red(`❌ Error: Command requires ${placeholderCount} dynamic argument(s), but only ${runtimeArgs.length} provided.`));
-            console.log(chalk.yellow(`   Command: ${commandString}`));
-            console.log(chalk.yellow(`   Usage:   dumb run ${specifier} <arg1> <arg2> ...`));
-            return;
+// Doctor Command Logic
+// Finds problems that normal commands tolerate but that leave entries unreachable or ambiguous.
+// Every problem carries an `apply` that repairs the list it was found in, so fixes are
+// diagnosed again on a fresh read under the store lock and can't drift from the report.
+const diagnoseStores = (commands, config) => {
+    const problems = [];
+    const stores = [['global', store.commandsFile], ...(store.projectFile ? [['project', store.projectFile]] : [])];
+    const describe = (cmd) => `ID ${formatId(cmd)}${cmd.alias ? ` (${cmd.alias})` : ''}`;
+    const cleanAlias = (alias) => alias.trim().replace(/[\s:]+/g, '-');
+
+    stores.forEach(([scope, filePath]) => {
+        const scopeCommands = commandsInScope(commands, scope);
+        const add = (message, fix, apply = () => {}) => problems.push({ scope, filePath, message, fix, apply });
+
+        // File level: layout and IDs that only exist in memory so far
+        const raw = store.readStoreFile(filePath);
+        if (fs.existsSync(filePath) && raw.version < SCHEMA_VERSION) {
+            add(`Uses the legacy v${raw.version} file format`, `Rewrite it as v${SCHEMA_VERSION} (all fields are kept)`);
         }
-
-        // Sequentially replace placeholders
-        let currentArgIndex = 0;
-        while (commandString.includes(placeholder) && currentArgIndex < runtimeArgs.length) {
-            commandString = commandString.replace(placeholder, runtimeArgs[currentArgIndex]);
-            currentArgIndex++;
+        const missingIds = raw.commands.filter(cmd => !(Number.isInteger(cmd?.id) && cmd.id > 0)).length;
+        if (missingIds > 0) {
+            add(`${missingIds} entr${missingIds === 1 ? 'y has' : 'ies have'} no valid ID`, 'Save the IDs assigned after the highest existing one');
         }
 
-        // Optional: Warn if extra arguments were provided but not used
-        if (runtimeArgs.length > placeholderCount) {
-             console.log(chalk.yellow(`⚠️ Warning: ${runtimeArgs.length} arguments provided, but only ${placeholderCount} placeholders ({}) found in the command.`));
-        }
-    } else if (runtimeArgs.length > 0) {
-        // Command has no placeholders, but arguments were given
-         console.log(chalk.yellow(`⚠️ Warning: Arguments provided (${runtimeArgs.join(' ')}) but the command has no dynamic placeholders ({}). Arguments will be ignored.`));
-    }
-     // --- End Dynamic Placeholder Handling ---
+        // Duplicate IDs: the first entry keeps it, later ones move past the highest ID
+        let maxId = scopeCommands.reduce((max, cmd) => Math.max(max, cmd.id), 0);
+        const seenIds = new Set();
+        scopeCommands.forEach(cmd => {
+            if (!seenIds.has(cmd.id)) {
+                seenIds.add(cmd.id);
+                return;
+            }
+            const newId = ++maxId;
+            add(`ID ${formatId(cmd)} is used more than once ("${cmd.command.substring(0, 40)}")`,
+                `Move this entry to ID ${formatId({ ...cmd, id: newId })}`,
+                () => { cmd.id = newId; });
+        });
 
+        scopeCommands.filter(cmd => cmd.command === 'INVALID_COMMAND').forEach(cmd => {
+            add(`${describe(cmd)} has no command text (shown as INVALID_COMMAND)`, 'Delete the entry',
+                () => commands.splice(commands.indexOf(cmd), 1));
+        });
 
-    // Expand tilde ~ (more robustly)
-    const finalCommand = commandString.replace(/^~(?=$|\/|\\)/, os.homedir());
+        // Aliases: invalid ones are cleaned up, then every clash after the first gets a numbered suffix
+        const existingAliases = new Set(scopeCommands.filter(cmd => cmd.alias).map(cmd => cleanAlias(cmd.alias).toLowerCase()));
+        const takenAliases = new Set();
+        scopeCommands.filter(cmd => cmd.alias).forEach(cmd => {
+            const cleaned = cleanAlias(cmd.alias);
+            if (!cleaned) {
+                add(`ID ${formatId(cmd)} has a blank alias`, 'Remove the alias', () => { cmd.alias = false; });
+                return;
+            }
+            let newAlias = cleaned;
+            if (takenAliases.has(cleaned.toLowerCase())) {
+                let suffix = 2;
+                while (existingAliases.has(`${cleaned}-${suffix}`.toLowerCase()) || takenAliases.has(`${cleaned}-${suffix}`.toLowerCase())) suffix++;
+                newAlias = `${cleaned}-${suffix}`;
+                add(`Alias "${cleaned}" on ID ${formatId(cmd)} is already used by another command`, `Rename it to "${newAlias}"`,
+                    () => { cmd.alias = newAlias; });
+            } else if (cleaned !== cmd.alias) {
+                add(`Alias "${cmd.alias}" on ID ${formatId(cmd)} contains spaces or colons`, `Rename it to "${newAlias}"`,
+                    () => { cmd.alias = newAlias; });
+            }
+            takenAliases.add(newAlias.toLowerCase());
+        });
 
-    const confirm = await prompts({
-        type: 'confirm',
-        name: 'value',
-        message: `Run command #${cmdToRun.id} [${chalk.cyan(finalCommand)}]?`,
-        initial: true
+        if (scope === 'global' && store.configFile && maxId > 0 && (Number(config.nextId) || 1) <= maxId) {
+            add(`nextId in config.json (${config.nextId}) is not above the highest ID (${maxId})`, `Set nextId to ${maxId + 1}`,
+                () => { config.nextId = maxId + 1; });
+        }
     });
+    return problems;
+};
 
-    if (!confirm.value) return console.log(chalk.yellow('⚠️ Execution canceled.'));
+const handleDoctorCommand = async (checkOnly) => {
+    const problems = diagnoseStores(store.load(), store.readConfig());
+    if (problems.length === 0) {
+        return console.log(chalk.green('✔️ No problems found.'));
+    }
 
-    try {
-        console.log(chalk.green(`🚀 Running [${cmdToRun.id}${cmdToRun.alias ? '/' + cmdToRun.alias : ''}]: ${finalCommand}`));
-        // Execute the command
-        execSync(finalCommand, { stdio: 'inherit', encoding: 'utf-8', shell: process.env.SHELL || true });
-        console.log(chalk.green(`✅ Command [${cmdToRun.id}] finished.`));
-    } catch (error) {
-        console.log(chalk.red(`❌ Command [${cmdToRun.id}] failed.`));
-        if (typeof error.status === 'number') {
-            console.log(chalk.red(`   Exit code: ${error.status}`));
+    let lastFile;
+    problems.forEach(problem => {
+        if (problem.filePath !== lastFile) {
+            console.log(chalk.bold(`\n${problem.scope === 'project' ? 'Project' : 'Global'} store: ${problem.filePath}`));
+            lastFile = problem.filePath;
         }
+        console.log(chalk.yellow(`  ⚠️ ${problem.message}`));
+        console.log(chalk.dim(`     fix: ${problem.fix}`));
+    });
+    console.log();
+
+    if (checkOnly) {
+        return fail(`❌ Found ${problems.length} problem(s). Run "dumb doctor" without --check to fix them.`);
     }
+    const confirmed = await confirmAction(`Apply ${problems.length} fix(es)? (a snapshot is taken first, so "dumb undo" reverts them)`, true);
+    if (!confirmed) return console.log(chalk.yellow('⚠️ No changes made.'));
+
+    const fixed = store.modify('doctor', (freshCommands) => {
+        const config = store.readConfig();
+        const previousNextId = config.nextId;
+        const freshProblems = diagnoseStores(freshCommands, config);
+        freshProblems.forEach(problem => problem.apply());
+        if (config.nextId !== previousNextId) store.writeConfig(config);
+        return freshProblems.length;
+    });
+    console.log(chalk.green(`✔️ Fixed ${fixed} problem(s).`));
 };
 
-
-// Export Command Logic
-const handleExportCommand = (exportPath) => {
-    const commands = readCommands();
-    if (commands.length === 0) {
-        return console.log(chalk.yellow('ℹ️ No commands to export.'));
+// Profile Command Logic
+// Profiles are separate command sets in one data directory. `use` switches the active one for
+// later calls; `dumb --profile <name> ...` picks one for a single call.
+const handleProfileCommand = (action, name) => {
+    const active = readSettings().profile || DEFAULT_PROFILE;
+
+    if (action === 'ls') {
+        const table = new Table({
+            head: [chalk.bold('Profile'), chalk.bold('Commands'), chalk.bold('Location')],
+            colWidths: [20, 10, 60],
+            wordWrap: true,
+            style: { head: ['cyan'] }
+        });
+        listProfiles(configDir).forEach(profile => {
+            const profileStore = new CommandStore({ home: configDir, profile, projectFile: null });
+            let count;
+            try {
+                count = profileStore.load().length;
+            } catch {
+                count = chalk.red('?'); // Unreadable; `dumb --profile <name> doctor` explains why
+            }
+            const label = profile === active ? chalk.green(`* ${profile}`) : `  ${profile}`;
+            table.push([label, count, chalk.dim(profileStore.commandsFile)]);
+        });
+        console.log(table.toString());
+        return console.log(chalk.dim('Switch with "dumb profile use <name>", or use one once with "dumb --profile <name> ...".'));
     }
 
-    let targetPath = path.resolve(exportPath || '.'); // Default to current dir if no path given
-    let targetFile;
+    if (!name) return fail(`❌ Please provide a profile name: dumb profile ${action} <name>`);
+    validateProfileName(name);
 
-    try {
-        // Check if path exists and is a directory
-        if (!fs.existsSync(targetPath) || !fs.lstatSync(targetPath).isDirectory()) {
-             console.error(chalk.red(`❌ Error: Export path "${targetPath}" is not a valid directory or does not exist.`));
-             return;
-         }
-
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const filename = `dumbcli_export_${timestamp}.json`;
-        targetFile = path.join(targetPath, filename);
-
-        // Write the *raw* command data as currently stored
-        fs.writeFileSync(targetFile, JSON.stringify(commands, null, 2), 'utf-8');
-        console.log(chalk.green(`✔️ Successfully exported ${commands.length} commands to:`));
-        console.log(chalk.white(targetFile));
+    if (action === 'create') {
+        createProfile(configDir, name);
+        return console.log(chalk.green(`✔️ Created profile "${name}". Switch to it with "dumb profile use ${name}".`));
+    }
 
-    } catch (err) {
-        console.error(chalk.red(`❌ Error exporting commands to ${targetFile || targetPath}:`), err);
+    // use
+    if (!profileExists(configDir, name)) {
+        return fail(`❌ Profile "${name}" does not exist. Create it with "dumb profile create ${name}".`);
     }
+    writeSettings({ profile: name === DEFAULT_PROFILE ? undefined : name });
+    console.log(chalk.green(`✔️ Now using profile "${name}".`));
 };
 
-// Import Command Logic
-const handleImportCommand = async (importFilePath, appendMode) => {
-    const targetPath = path.resolve(importFilePath);
-
-    if (!fs.existsSync(targetPath) || !fs.lstatSync(targetPath).isFile()) {
-        return console.error(chalk.red(`❌ Error: Import file "${targetPath}" not found or is not a file.`));
+// Sync Command Logic
+// Merges the active profile with a git repository (see CommandStore#sync). Conflicting edits are
+// shown one by one to pick a side; --prefer decides them all (and is the only way without a terminal).
+const printSyncConflict = (conflict) => {
+    const formatValue = (value) => value === undefined || value === false ? '(none)' : typeof value === 'string' ? value : JSON.stringify(value);
+    const entry = conflict.local || conflict.remote;
+    console.log(chalk.yellow(`\n⚠️ Changed here and on the remote: ${entry.alias ? `${chalk.magenta(entry.alias)} ` : ''}${entry.command}`));
+    if (!conflict.local || !conflict.remote) {
+        return console.log(`    ${conflict.local ? 'Edited here, deleted on the remote.' : 'Deleted here, edited on the remote.'}`);
     }
+    conflict.fields.forEach(key => {
+        console.log(chalk.red(`    here:   ${key}: ${formatValue(conflict.local[key])}`));
+        console.log(chalk.green(`    remote: ${key}: ${formatValue(conflict.remote[key])}`));
+    });
+};
 
-    let importedCommands;
+const handleSyncCommand = async ({ remote, prefer } = {}) => {
+    const decisions = new Map();
+    const resolveConflict = (conflict) => prefer || decisions.get(conflict.uid);
+    let result;
     try {
-        const fileContent = fs.readFileSync(targetPath, 'utf-8');
-        importedCommands = JSON.parse(fileContent);
-        if (!Array.isArray(importedCommands)) {
-            throw new Error('Imported file does not contain a JSON array.');
+        result = store.sync({ remote, resolveConflict });
+    } catch (err) {
+        if (!(err instanceof SyncConflictError)) throw err;
+        if (!isInteractive()) {
+            err.conflicts.forEach(printSyncConflict);
+            fail(`\n❌ ${err.message} Nothing was changed.`);
+            return console.error(chalk.yellow('   Pick a side for all of them with: dumb sync --prefer local|remote'));
         }
-        // Basic validation of imported structure (can be enhanced)
-        importedCommands = importedCommands.filter(cmd => cmd && typeof cmd.command === 'string');
-        if (importedCommands.length === 0) {
-             return console.log(chalk.yellow('ℹ️ No valid commands found in the import file.'));
+        for (const conflict of err.conflicts) {
+            printSyncConflict(conflict);
+            const response = await ask({
+                type: 'select',
+                name: 'side',
+                message: 'Keep which version?',
+                choices: [
+                    { title: conflict.local ? 'Mine (this machine)' : 'Mine: keep it deleted', value: 'local' },
+                    { title: conflict.remote ? 'Theirs (the remote)' : 'Theirs: delete it', value: 'remote' }
+                ]
+            }, 'dumb sync --prefer local|remote');
+            if (!response) return; // Not a terminal; ask() already explained why
+            if (!response.side) return console.log(chalk.yellow('⚠️ Sync canceled. Nothing was changed.'));
+            decisions.set(conflict.uid, response.side);
         }
-    } catch (err) {
-        return console.error(chalk.red(`❌ Error reading or parsing import file "${targetPath}":`), err);
+        result = store.sync({ remote, resolveConflict }); // Merged again under the lock, replaying the answers
     }
 
-    console.log(chalk.blue(`Found ${importedCommands.length} potential commands in "${path.basename(targetPath)}".`));
-
-    const currentCommands = readCommands();
-    let commandsToWrite = [];
-    let nextId = readConfig().nextId; // Get starting point for new IDs
-    let maxCurrentId = 0;
-     currentCommands.forEach(cmd => {
-        if(cmd.id >= maxCurrentId) maxCurrentId = cmd.id;
-     });
-     // Make sure nextId is greater than any existing ID
-     if(nextId <= maxCurrentId) nextId = maxCurrentId + 1;
-
-
-    if (appendMode) {
-        console.log(chalk.yellow('Appending imported commands...'));
-        commandsToWrite = [...currentCommands]; // Start with existing commands
-        const existingAliasesLower = currentCommands.map(cmd => cmd.alias?.toLowerCase()).filter(Boolean);
-
-        importedCommands.forEach(impCmd => {
-            const newCmd = {
-                id: nextId++,
-                command: impCmd.command.trim(),
-                alias: false, // Start with no alias, assign below if valid
-                comment: impCmd.comment?.trim() || false
-            };
+    result.notes.forEach(note => console.log(chalk.magenta(`  ! ${note}`)));
+    console.log(chalk.green(`✔️ Synced profile "${store.profile}": ${result.added} added, ${result.updated} changed, ${result.removed} removed here.`));
+    console.log(chalk.dim(result.committed ? '   Committed and pushed the merged commands.' : '   Nothing new to push.'));
+};
 
-            if (impCmd.alias) {
-                const proposedAlias = impCmd.alias.trim();
-                const proposedAliasLower = proposedAlias.toLowerCase();
-                // Check for conflicts with existing AND newly added aliases in this batch
-                const currentAliasesLower = commandsToWrite.map(cmd => cmd.alias?.toLowerCase()).filter(Boolean);
+// Completion Logic
+const handleCompletionCommand = (shell) => process.stdout.write(COMPLETION_SCRIPTS[shell]);
 
-                if (!/\s|:/.test(proposedAlias) && !currentAliasesLower.includes(proposedAliasLower)) {
-                    newCmd.alias = proposedAlias;
-                } else {
-                     console.log(chalk.yellow(`  ⚠️ Alias "${proposedAlias}" from import conflicts or is invalid. Skipping alias for command: "${newCmd.command.substring(0, 30)}..."`));
-                }
-            }
-            commandsToWrite.push(newCmd);
-        });
+// Init Logic
+const handleInitCommand = (shell) => {
+    const dir = quoteForShell(lastCommandsDir, shell === 'fish' ? 'fish' : 'posix');
+    process.stdout.write(INIT_HOOKS[shell](dir));
+};
 
-        // Update the nextId in config AFTER processing all imports
-        writeConfig({ nextId });
-        writeCommands(commandsToWrite);
-        console.log(chalk.green(`✔️ Successfully appended ${importedCommands.length} commands.`));
-        console.log(chalk.green(`   Total commands now: ${commandsToWrite.length}.`));
+// Save-Last Logic
+// Saves the last command of this shell session (recorded by the `dumb init` hook) if it succeeded.
+// Words it repeats can be turned into named placeholders first; the add form then opens pre-filled.
+const handleSaveLastCommand = async (alias, comment, { project = false } = {}) => {
+    const last = readLastCommand();
+    if (!last) {
+        return fail(process.env.DUMBCLI_SESSION
+            ? '❌ No command recorded in this shell yet. Run something first, then "dumb save-last".'
+            : '❌ The shell hook is not set up. Add eval "$(dumb init bash)" (or zsh; fish: dumb init fish | source) to your shell config.');
+    }
+    if (last.exitCode !== 0) {
+        return fail(`❌ The last command failed (exit ${last.exitCode}), so it was not saved: ${last.command}`);
+    }
 
-    } else {
-        // Overwrite Mode
-        const confirm = await prompts({
-            type: 'confirm',
-            name: 'value',
-            message: chalk.red(`⚠️ WARNING: This will ERASE ALL ${currentCommands.length} existing commands and replace them with the imported ones. Are you sure?`),
-            initial: false
+    const existing = store.load().find(cmd => normalizeCommandText(cmd.command) === normalizeCommandText(last.command));
+    if (existing) {
+        return console.log(chalk.yellow(`ℹ️ Already saved as #${formatId(existing)}${existing.alias ? ` (${existing.alias})` : ''}.`));
+    }
+    console.log(chalk.blue(`💾 Last command (exit 0): ${chalk.cyan(last.command)}`));
+
+    let command = last.command;
+    const repeated = findRepeatedLiterals(command);
+    if (repeated.length > 0 && isInteractive() && !assumeYes) {
+        const response = await prompts({
+            type: 'multiselect',
+            name: 'picked',
+            message: 'These words repeat; turn any into a placeholder? (space to toggle, enter to confirm)',
+            choices: repeated.map(literal => ({ title: `"${literal.token}" (×${literal.count}) → {${literal.name}}`, value: literal })),
+            hint: '- Space to select. Return to submit',
+            instructions: false
         });
+        if (!response.picked) return console.log(chalk.yellow('⚠️ Save canceled.'));
+        command = response.picked.reduce(replaceLiteralWithPlaceholder, command);
+    } else if (repeated.length > 0) {
+        console.log(chalk.dim(`ℹ️ Repeated words you may want as placeholders: ${repeated.map(literal => literal.token).join(', ')}`));
+    }
 
-        if (!confirm.value) return console.log(chalk.yellow('⚠️ Import (overwrite) canceled.'));
-
-        console.log(chalk.yellow('Replacing existing commands...'));
-        const importedAliasesLower = new Set(); // Track aliases within the import file itself
-
-        importedCommands.forEach(impCmd => {
-             const newCmd = {
-                id: nextId++, // Assign fresh IDs sequentially
-                command: impCmd.command.trim(),
-                alias: false,
-                comment: impCmd.comment?.trim() || false
-            };
-
-            if (impCmd.alias) {
-                const proposedAlias = impCmd.alias.trim();
-                 const proposedAliasLower = proposedAlias.toLowerCase();
-                 if (!/\s|:/.test(proposedAlias) && !importedAliasesLower.has(proposedAliasLower)) {
-                    newCmd.alias = proposedAlias;
-                    importedAliasesLower.add(proposedAliasLower); // Track it
-                 } else {
-                    console.log(chalk.yellow(`  ⚠️ Alias "${proposedAlias}" from import is invalid or duplicated within the import file. Skipping alias for command: "${newCmd.command.substring(0, 30)}..."`));
-                }
-            }
-            commandsToWrite.push(newCmd);
-        });
+    await handleAddCommand({ command, alias: alias || '', comment: comment || '' }, { project, review: true });
+};
 
-         // Update the nextId in config
-         writeConfig({ nextId });
-         writeCommands(commandsToWrite);
-         console.log(chalk.green(`✔️ Successfully imported ${commandsToWrite.length} commands (replacing previous ones).`));
-    }
+// Called by the completion scripts on every Tab (see COMPLETION_SCRIPTS). The words come after a
+// `--`, so flags being completed (even --help) reach us as plain words.
+const handleCompleteRequest = (index) => {
+    const rawArgs = hideBin(process.argv);
+    const separator = rawArgs.indexOf('--');
+    const words = separator === -1 ? [] : rawArgs.slice(separator + 1);
+    completeWords(Math.max(0, Number(index) || 0), words)
+        .forEach(([value, description]) => console.log(`${value}\t${description}`));
 };
 
 
 // --- Yargs Command Definitions ---
+// Every command goes through defineCommand, which also keeps its definition for completion.
+
+const commandDefinitions = [];
+const defineCommand = (command, description, builder, handler) => {
+    commandDefinitions.push({ command, description, builder });
+    return dumb.command(command, description, builder, handler);
+};
 
 // Add
-dumb.command('add', 'Add a new command interactively', {}, () => handleAddCommand());
+// Shared by add/edit so both accept the same non-interactive fields
+const commandFieldOptions = (yargs) => yargs
+    .option('command', { describe: 'The command text (skips the interactive form)', type: 'string' })
+    .option('alias', { describe: 'Short unique alias (empty string clears it on edit)', type: 'string' })
+    .option('comment', { describe: 'Comment (empty string clears it on edit)', type: 'string' })
+    .option('tags', { describe: 'Comma-separated tags (replaces existing tags on edit, empty string clears)', type: 'string' })
+    .option('cwd', { describe: 'Directory to run in; ~ and placeholders expand (empty string clears it on edit)', type: 'string' })
+    .option('env', { describe: 'Environment variable as KEY=value (repeatable; replaces all on edit, empty string clears)', type: 'string', array: true })
+    .option('protected', { describe: 'Always require typing the alias or ID to run it (--no-protected removes this on edit)', type: 'boolean' });
+
+defineCommand('add', 'Add a new command (interactively, or with --command)', (yargs) => {
+    commandFieldOptions(yargs);
+    yargs.option('p', {
+        alias: 'project',
+        describe: `Save to the project store (${PROJECT_FILE_NAME}) instead of the global one`,
+        type: 'boolean',
+        default: false
+    });
+}, handled((argv) => handleAddCommand(
+    { command: argv.command, alias: argv.alias, comment: argv.comment, tags: argv.tags, cwd: argv.cwd, env: argv.env, protected: argv.protected },
+    { project: argv.project }
+)));
 
 // List
-dumb.command(['ls', 'list'], 'List all saved commands', {}, () => handleListCommands());
+defineCommand(['ls', 'list'], 'List all saved commands', (yargs) => {
+    yargs.option('tag', { describe: 'Only show commands with this tag (repeatable)', type: 'string', array: true });
+    yargs.option('untagged', { describe: 'Only show commands without tags', type: 'boolean', default: false });
+    yargs.option('sort', { describe: 'Order by run count or most recent run', choices: ['usage', 'recent'] });
+}, handled((argv) => handleListCommands({ tags: argv.tag, untagged: argv.untagged, sort: argv.sort })));
+
+// History
+defineCommand('history [specifier]', 'Show recent runs (optionally for one command)', (yargs) => {
+    yargs.positional('specifier', { describe: 'ID or Alias to filter by', type: 'string' });
+    yargs.option('n', { alias: 'limit', describe: 'How many runs to show', type: 'number', default: 20 });
+}, handled((argv) => handleHistoryCommand(argv.specifier, argv.limit)));
+
+// Stats
+defineCommand('stats', 'Show most used, recently failed and never-run commands', {}, handled(() => handleStatsCommand()));
+
+// Rerun
+defineCommand('rerun', 'Run the last executed command again with the same arguments', {}, handled(() => handleRerunCommand()));
+
+// Pick
+defineCommand(['pick [query..]', 'p [query..]'], 'Fuzzy-search commands interactively and run the selection', (yargs) => {
+    yargs.positional('query', { describe: 'Optional starting query', type: 'string', array: true });
+}, handled((argv) => handlePickCommand((argv.query || []).join(' '))));
+
+// UI
+defineCommand('ui', 'Browse, filter, run and edit commands in a full-screen view', {}, handled(() => handleUiCommand()));
+
+// Tag
+defineCommand('tag <specifier> [changes..]', 'Add (+name) or remove (-name) tags on a command', (yargs) => {
+    // Let "-old" through as a tag change instead of a short-flag cluster
+    yargs.parserConfiguration({ 'unknown-options-as-args': true }).strict(false);
+    yargs.positional('specifier', { describe: 'ID or Alias of the command to tag', type: 'string' });
+    yargs.positional('changes', { describe: 'Tag changes, e.g. +docker -old', type: 'string', array: true });
+}, handled((argv) => handleTagCommand(argv.specifier, [...(argv.changes || []), ...argv._.slice(1)])));
+
+// Tags
+defineCommand('tags', 'List all tags with their command counts', {}, handled(() => handleListTags()));
 
 // Delete
-dumb.command('dl <specifier>', 'Delete a command by ID or Alias', (yargs) => {
+defineCommand('dl <specifier>', 'Delete a command by ID or Alias', (yargs) => {
   yargs.positional('specifier', { describe: 'ID or Alias of the command to delete', type: 'string' });
-}, (argv) => handleDeleteCommand(argv.specifier));
+}, handled((argv) => handleDeleteCommand(argv.specifier)));
 
 // Edit
-dumb.command('edit <specifier>', 'Edit a command by ID or Alias', (yargs) => {
+defineCommand('edit <specifier>', 'Edit a command by ID or Alias (interactively, or with --command/--alias/--comment)', (yargs) => {
     yargs.positional('specifier', { describe: 'ID or Alias of the command to edit', type: 'string' });
-}, (argv) => handleEditCommand(argv.specifier));
+    commandFieldOptions(yargs);
+}, handled((argv) => handleEditCommand(argv.specifier, {
+    command: argv.command, alias: argv.alias, comment: argv.comment, tags: argv.tags, cwd: argv.cwd, env: argv.env,
+    protected: argv.protected
+})));
 
 // Find
-dumb.command('find <query>', 'Find commands by ID, Alias, Command, or Comment (case-insensitive)', (yargs) => {
-  yargs.positional('query', { describe: 'Text to search for', type: 'string' });
-}, (argv) => handleFindCommand(argv.query));
+defineCommand('find <query>', 'Fuzzy-find commands by ID, Alias, Command, Comment or tag:<name>, best match first', (yargs) => {
+  yargs.positional('query', { describe: 'Text to search for (tag:<name> filters by tag)', type: 'string' });
+}, handled((argv) => handleFindCommand(argv.query)));
 
 // Run
-dumb.command(['run <specifier> [args..]', 'r <specifier> [args..]'], 'Execute a command by ID or Alias (pass arguments for dynamic commands)', (yargs) => {
+defineCommand(['run <specifier> [args..]', 'r <specifier> [args..]'], 'Execute a command by ID or Alias (pass arguments for dynamic commands)', (yargs) => {
   yargs.positional('specifier', { describe: 'ID or Alias of the command to run', type: 'string' });
-  yargs.positional('args', { describe: 'Arguments to pass to the command (for {} placeholders)', type: 'string', array: true }); // Capture remaining args
-}, (argv) => handleRunCommand(argv.specifier, argv.args));
+  yargs.positional('args', { describe: 'Values for placeholders, in order or as name=value (missing ones are prompted for)', type: 'string', array: true }); // Capture remaining args
+  yargs.option('here', { describe: "Run in the current directory instead of the command's stored one", type: 'boolean', default: false });
+  yargs.option('dry-run', { describe: 'Print the final command (after placeholders) without running it', type: 'boolean', default: false });
+  yargs.option('confirm', { describe: 'Alias or ID of the command, to run a dangerous or protected one without typing it (e.g. in scripts)', type: 'string' });
+  yargs.option('json', { describe: 'Print a JSON result (command, exit code, duration, captured stdout); same as --format json', type: 'boolean', default: false });
+  yargs.option('timeout', { describe: 'Stop the command after this long (e.g. 30s, 5m, 1h); it then exits with 124', type: 'string' });
+  yargs.option('retry', { describe: 'Run it again up to this many times while it fails', type: 'number', default: 0 });
+  yargs.option('retry-delay', { describe: 'How long to wait between attempts (e.g. 5s)', type: 'string', default: DEFAULT_RETRY_DELAY });
+  yargs.option('log', { describe: 'Also save the output to a log file (see "dumb logs")', type: 'boolean', default: false });
+}, handled((argv) => handleRunCommand(argv.specifier, argv.args, {
+    here: argv.here, dryRun: argv.dryRun, confirmAs: argv.confirm,
+    timeout: argv.timeout, retry: argv.retry, retryDelay: argv.retryDelay, log: argv.log
+})));
+
+// Logs
+defineCommand('logs <specifier>', 'Show the output of recent runs saved with "dumb run --log"', (yargs) => {
+  yargs.positional('specifier', { describe: 'ID or Alias of the command', type: 'string' });
+  yargs.option('n', { alias: 'count', describe: 'How many recent runs to show', type: 'number', default: 1 });
+}, handled((argv) => handleLogsCommand(argv.specifier, argv.count)));
 
 // Dump
-dumb.command('dump', 'Show raw data from dumbcli.json', () => {
-  console.log(chalk.magenta(`📂 Raw data from ${commandsFile}:`));
-  try {
-      const rawData = fs.existsSync(commandsFile) ? fs.readFileSync(commandsFile, 'utf-8') : '[]';
-      console.log(rawData);
-  } catch (err) {
-      console.error(chalk.red(`❌ Error reading raw data from ${commandsFile}:`), err);
-  }
-});
+defineCommand('dump', 'Show raw data from dumbcli.json (and the project store, if any)', {}, handled(() => handleDumpCommand()));
+
+// Sync
+defineCommand('sync', "Merge the active profile's commands with a git repository, then push", (yargs) => {
+    yargs.option('remote', { describe: 'Git remote (URL or path, e.g. a bare repo) to sync with; needed the first time', type: 'string' });
+    yargs.option('prefer', { describe: 'Settle every conflict with this side instead of asking', choices: ['local', 'remote'] });
+}, handled((argv) => handleSyncCommand({ remote: argv.remote, prefer: argv.prefer })));
+
+// Profile
+defineCommand('profile <action> [name]', 'Create, switch or list profiles (separate command sets)', (yargs) => {
+    yargs.positional('action', { describe: 'create, use or ls', choices: ['create', 'use', 'ls'] });
+    yargs.positional('name', { describe: 'Profile name', type: 'string' });
+}, handled((argv) => handleProfileCommand(argv.action, argv.name)));
+
+// Show
+defineCommand('show <specifier>', 'Show everything about one command: fields, placeholders, run stats', (yargs) => {
+    yargs.positional('specifier', { describe: 'ID or Alias of the command', type: 'string' });
+}, handled((argv) => handleShowCommand(argv.specifier)));
+
+// Log
+defineCommand('log <specifier>', 'List the saved versions (revisions) of a command, marking verified ones', (yargs) => {
+    yargs.positional('specifier', { describe: 'ID or Alias of the command', type: 'string' });
+}, handled((argv) => handleLogCommand(argv.specifier)));
+
+// Diff
+defineCommand('diff <specifier> [rev]', 'Show what changed in a command since a revision (default: the previous one)', (yargs) => {
+    yargs.positional('specifier', { describe: 'ID or Alias of the command', type: 'string' });
+    yargs.positional('rev', { describe: 'Revision number from "dumb log", or "verified"', type: 'string' });
+}, handled((argv) => handleDiffCommand(argv.specifier, argv.rev)));
+
+// Revert
+defineCommand('revert <specifier> <rev>', 'Restore an earlier revision of a command', (yargs) => {
+    yargs.positional('specifier', { describe: 'ID or Alias of the command', type: 'string' });
+    yargs.positional('rev', { describe: 'Revision number from "dumb log", or "verified" for the last version that ran successfully', type: 'string' });
+}, handled((argv) => handleRevertCommand(argv.specifier, argv.rev)));
+
+// Undo
+defineCommand('undo', 'Roll back the last change to the command store', {}, handled(() => handleUndoCommand()));
+
+// Restore
+defineCommand('restore [number]', 'List snapshots of previous store states, or restore one', (yargs) => {
+    yargs.positional('number', { describe: 'Snapshot number from --list (1 = most recent)', type: 'number' });
+    yargs.option('l', { alias: 'list', describe: 'List available snapshots', type: 'boolean', default: false });
+}, handled((argv) => handleRestoreCommand(argv.number, argv.list)));
+
+// Doctor
+defineCommand('doctor', 'Check the command stores for duplicate IDs/aliases, broken entries and a stale nextId, and fix them', (yargs) => {
+    yargs.option('check', { describe: 'Only report problems (exits non-zero if any are found)', type: 'boolean', default: false });
+}, handled((argv) => handleDoctorCommand(argv.check)));
+
+// Workflow
+defineCommand(['workflow <action> [specifier]', 'wf <action> [specifier]'], 'Create (add) or change (edit <id|alias>) a multi-step workflow', (yargs) => {
+    yargs.positional('action', { describe: 'add or edit', choices: ['add', 'edit'] });
+    yargs.positional('specifier', { describe: 'ID or Alias of the workflow to edit', type: 'string' });
+    yargs.option('s', { alias: 'step', describe: 'A step: "<id|alias> [args]" or "sh:<command>", "?" prefix to confirm it (repeatable, in order)', type: 'string', array: true });
+    yargs.option('on-failure', { describe: 'Stop at the first failing step, or continue with the rest', choices: WORKFLOW_FAILURE_POLICIES });
+    yargs.option('alias', { describe: 'Short unique alias', type: 'string' });
+    yargs.option('comment', { describe: 'Comment', type: 'string' });
+    yargs.option('tags', { describe: 'Comma-separated tags', type: 'string' });
+    yargs.option('p', { alias: 'project', describe: "Save into the project's .dumbcli.json", type: 'boolean', default: false });
+}, handled((argv) => {
+    if (argv.action === 'edit' && !argv.specifier) return fail('❌ Please provide the ID or Alias of the workflow to edit.');
+    return handleWorkflowSave(argv.action === 'edit' ? argv.specifier : null, {
+        steps: argv.step || [], alias: argv.alias, comment: argv.comment, tags: argv.tags, onFailure: argv.onFailure, project: argv.project
+    });
+}));
+
+// Harvest
+defineCommand('harvest <source>', 'Pick commands to save from bash/zsh/fish history, package.json scripts or a Makefile', (yargs) => {
+    yargs.positional('source', { describe: 'bash, zsh, fish, or a path to a package.json / Makefile (or their directory)', type: 'string' });
+    yargs.option('file', { describe: 'Read this history file instead of the default location', type: 'string' });
+    yargs.option('p', { alias: 'project', describe: "Save into the project's .dumbcli.json", type: 'boolean', default: false });
+    yargs.option('n', { alias: 'limit', describe: 'Offer at most this many candidates', type: 'number', default: 100 });
+    yargs.option('l', { alias: 'list', describe: 'Only print the candidates (no prompts)', type: 'boolean', default: false });
+}, handled((argv) => handleHarvestCommand(argv.source, { file: argv.file, project: argv.project, limit: argv.limit, list: argv.list })));
 
 // Export
-dumb.command('export [path]', 'Export all commands to a JSON file', (yargs) => {
+defineCommand('export [path]', 'Export commands as JSON, YAML, Markdown or sourceable shell functions', (yargs) => {
     yargs.positional('path', { describe: 'Optional directory path to export the file to (defaults to current)', type: 'string' });
-}, (argv) => handleExportCommand(argv.path));
+    // Not --format: that's the global output option (see Output Formats)
+    yargs.option('t', { alias: 'to', describe: 'File format', choices: Object.keys(EXPORT_FORMATS), default: 'json' });
+    yargs.option('ids', { describe: 'Only these IDs/aliases (comma-separated, e.g. 1,4,p2,deploy)', type: 'string' });
+    yargs.option('q', { alias: 'query', describe: 'Only commands matching this search (same syntax as find)', type: 'string' });
+    yargs.option('o', { alias: 'out', describe: 'Write to this file instead ("-" for stdout)', type: 'string', requiresArg: true });
+}, handled((argv) => handleExportCommand(argv.path, { format: argv.to, ids: argv.ids, query: argv.query, out: argv.out })));
 
 // Import
-dumb.command('import <file>', 'Import commands from a JSON file', (yargs) => {
-    yargs.positional('file', { describe: 'Path to the JSON file to import', type: 'string', demandOption: true });
+defineCommand('import <file>', 'Import commands from a JSON or YAML export (replace, append or merge)', (yargs) => {
+    yargs.positional('file', { describe: 'Path to the JSON/YAML file to import', type: 'string', demandOption: true });
     yargs.option('a', {
         alias: 'append',
         describe: 'Append imported commands instead of replacing existing ones',
+        type: 'boolean'
+    });
+    yargs.option('m', {
+        alias: 'merge',
+        describe: 'Update commands that already exist (same uid or command text) and add the rest',
+        type: 'boolean'
+    });
+    yargs.option('on-conflict', {
+        describe: 'What to do when an imported alias is already taken (default: ask on a terminal, skip otherwise)',
+        choices: IMPORT_CONFLICT_POLICIES
+    });
+    yargs.option('dry-run', { describe: 'Show what would be added, changed or removed without writing', type: 'boolean', default: false });
+    yargs.conflicts('a', 'm');
+}, handled((argv) => handleImportCommand(argv.file, { append: argv.append, merge: argv.merge, onConflict: argv.onConflict, dryRun: argv.dryRun })));
+
+// Init
+defineCommand('init <shell>', 'Print a shell hook that records your last command (for save-last)', (yargs) => {
+    yargs.positional('shell', { describe: 'Shell to print the hook for', choices: Object.keys(INIT_HOOKS) });
+}, handled((argv) => handleInitCommand(argv.shell)));
+
+// Save Last
+defineCommand('save-last [alias] [comment..]', 'Save the last command you ran in this shell, if it succeeded', (yargs) => {
+    yargs.positional('alias', { describe: 'Alias for the saved command', type: 'string' });
+    yargs.positional('comment', { describe: 'Comment for the saved command', type: 'string', array: true });
+    yargs.option('p', {
+        alias: 'project',
+        describe: `Save to the project store (${PROJECT_FILE_NAME}) instead of the global one`,
         type: 'boolean',
         default: false
     });
-}, (argv) => handleImportCommand(argv.file, argv.append));
+}, handled((argv) => handleSaveLastCommand(argv.alias, (argv.comment || []).join(' '), { project: argv.project })));
+
+// Completion
+defineCommand('completion <shell>', 'Print a tab-completion script (subcommands, flags, IDs and aliases)', (yargs) => {
+    yargs.positional('shell', { describe: 'Shell to print the script for', choices: Object.keys(COMPLETION_SCRIPTS) });
+}, handled((argv) => handleCompletionCommand(argv.shell)));
+
+// Hidden: answers the completion scripts
+defineCommand('__complete <index> [words..]', false, (yargs) => {
+    yargs.positional('index', { type: 'number' });
+    yargs.positional('words', { type: 'string', array: true });
+}, handled((argv) => handleCompleteRequest(argv.index)));
 
 
 // --- Power User Syntax (Experimental) ---
 // Use a default command to catch non-standard input like d:a:...
-dumb.command('$0 <input..>', false, (yargs) => { // '$0' makes it the default, `false` hides from help
+defineCommand('$0 <input..>', false, (yargs) => { // '$0' makes it the default, `false` hides from help
     dumb.positional('input', { type: 'string', array: true });
-}, (argv) => {
+}, handled((argv) => {
     const rawInput = argv.input.join(' '); // Reconstruct input string if spaces were involved
     const powerMatch = rawInput.match(/^d:a:(.+)$/); // Match d:a:<rest>
 
@@ -673,20 +3436,22 @@ dumb.command('$0 <input..>', false, (yargs) => { // '$0' makes it the default, `
         const parts = powerMatch[1].split(':'); // Split the <rest> by colons
         const command = parts[0]?.trim();
         const alias = parts[1]?.trim() || ''; // Optional alias
-        const comment = parts.slice(2).join(':').trim() || ''; // Rest is comment
+        let comment = parts.slice(2).join(':').trim() || ''; // Rest is comment
+        // Trailing #words in the comment become tags: d:a:cmd:alias:comment #docker #ops
+        const tagMatch = comment.match(/(?:^|\s)((?:#[\w-]+\s*)+)$/);
+        const tags = tagMatch ? normalizeTags(tagMatch[1]) : [];
+        if (tagMatch) comment = comment.slice(0, tagMatch.index).trim();
 
         if (command) {
             console.log(chalk.cyan('⚡ Power Add detected...'));
-            // Directly call handler, bypassing prompts - needs slight modification
-            // Or, more simply, call the prompt-based handler with initial values:
-            handleAddCommand(command, alias, comment);
-            return; // Stop further processing
+            // Save directly, no interactive form
+            return handleAddCommand({ command, alias, comment, tags }); // Stop further processing
         }
     }
 
     // If it didn't match the power syntax or wasn't handled, show the welcome/help message.
     showWelcomeOrHelp();
-});
+}));
 
 const printBanner = () => {
     const logo = `
@@ -712,18 +3477,37 @@ const showWelcomeOrHelp = () => {
         console.log(chalk.green.bold('👋 Welcome to DumbCLI! (v1.3.0 - Now with IDs, Aliases & more!)'));
         console.log('   Manage your frequently used shell commands easily.');
         console.log('\n' + chalk.yellow('Common Commands:'));
-        console.log('  - dumb add                 : Add a new command interactively');
-        console.log('  - dumb ls                  : List all commands (shows ID, Alias)');
-        console.log('  - dumb find "<query>"      : Search commands (ID, Alias, text, comment)');
-        console.log('  - dumb run <id|alias> [args...] : Execute a command (use args for {})');
+        console.log('  - dumb add [--project]     : Add a new command interactively');
+        console.log('  - dumb harvest <source>    : Pick commands from shell history, package.json or a Makefile');
+        console.log('  - dumb save-last [alias]   : Save the command that just worked (needs: dumb init <shell>)');
+        console.log('  - dumb workflow add        : Chain saved commands into one multi-step workflow');
+        console.log('  - dumb ls [--tag <name>]   : List all commands (shows ID, Alias)');
+        console.log('  - dumb tag <id|alias> +a -b: Add/remove tags');
+        console.log('  - dumb find "<query>"      : Fuzzy search commands (ID, Alias, text, comment, tags)');
+        console.log('  - dumb pick [query]        : Pick a command from a live search list and run it');
+        console.log('  - dumb ui                  : Browse, filter, run and edit commands full-screen');
+        console.log('  - dumb run <id|alias> [args...] : Execute a command (args fill {} / {name}, or name=value)');
+        console.log('  - {env:X} {sh:cmd} {stdin} {choice:a|b} {file} : Placeholders that fill or check themselves');
+        console.log('  - dumb rerun               : Repeat the last run with the same arguments');
+        console.log('  - dumb run <id> --timeout 30s --retry 3 --log : Limit, retry and keep the output (dumb logs <id>)');
+        console.log('  - dumb history / stats     : See what ran, what failed, what never runs');
+        console.log('  - dumb show <id|alias>     : Everything about one command (add --format json for scripts)');
         console.log('  - dumb edit <id|alias>     : Edit a command');
+        console.log('  - dumb log / diff / revert <id|alias>: Earlier versions of a command, and go back to one');
         console.log('  - dumb dl <id|alias>       : Delete a command');
-        console.log('  - dumb import [-a] <file>  : Import commands from JSON');
-        console.log('  - dumb export [path]       : Export commands to JSON');
+        console.log('  - dumb undo                : Roll back the last change (see also: dumb restore --list)');
+        console.log('  - dumb doctor              : Find and fix duplicate IDs/aliases and broken entries');
+        console.log('  - dumb import [-a|-m] <file>: Import commands from JSON (-m merges, --dry-run previews)');
+        console.log('  - dumb export [--to]       : Export to JSON/YAML/Markdown or bash/zsh/fish/PowerShell functions');
+        console.log('  - dumb sync [--remote <url>]: Merge your commands with a git repo (across machines)');
+        console.log('  - dumb profile <create|use|ls> [name]: Keep separate command sets (or: dumb --profile <name> ...)');
+        console.log('  - dumb completion <shell>  : Print a tab-completion script (bash, zsh, fish, powershell)');
         console.log('\n' + chalk.cyan(chalk.red.bold('(Alpha)') + ' Power User Quick Add:'));
-        console.log('  - d:a:<command>[:alias[:comment]]');
+        console.log('  - d:a:<command>[:alias[:comment [#tag ...]]]');
         console.log('\n' + chalk.dim(`Use "dumb --help" for all commands and options.`));
         console.log(chalk.dim(`Config directory: ${configDir}`));
+        console.log(chalk.dim(`Active profile:   ${store.profile}`));
+        if (store.projectFile) console.log(chalk.dim(`Project store:    ${store.projectFile}`));
         console.log(`\nConnect with me on GitHub: ${chalk.blueBright('https://github.com/S488U')}`);
         process.exit(0);
     } else {
@@ -734,8 +3518,55 @@ const showWelcomeOrHelp = () => {
 };
 
 
+// Options every command takes (completion offers them everywhere too)
+const GLOBAL_OPTIONS = {
+    y: {
+        alias: 'yes',
+        describe: 'Answer "yes" to confirmations (for scripts and CI)',
+        type: 'boolean',
+        global: true
+    },
+    profile: {
+        describe: 'Use this profile for one call (see "dumb profile")',
+        type: 'string',
+        global: true
+    },
+    store: {
+        describe: 'Use this commands file instead of the profile\'s',
+        type: 'string',
+        global: true
+    },
+    format: {
+        describe: `Output: ${OUTPUT_FORMATS.join(', ')} (table is the default on a terminal)`,
+        choices: OUTPUT_FORMATS,
+        global: true
+    }
+};
+// Added by yargs itself (.help() and .version() below); listed for completion
+const BUILTIN_OPTIONS = {
+    h: { alias: 'help', describe: 'Show help', type: 'boolean' },
+    v: { alias: 'version', describe: 'Show version number', type: 'boolean' }
+};
+
 dumb.version('1.3.0') // Updated version
     .alias('v', 'version')
+    .options(GLOBAL_OPTIONS)
+    .middleware((argv) => {
+        assumeYes = Boolean(argv.yes);
+        setOutputFormat(argv.json ? 'json' : argv.format); // `run --json` is short for --format json
+        try {
+            if (argv.store || argv.profile) store = openStore({ storeFile: argv.store, profile: argv.profile });
+            // A missing profile would otherwise be created silently by the first write
+            if (store.profile && !profileExists(configDir, store.profile) && !['profile', '__complete'].includes(argv._[0])) {
+                fail(`❌ Profile "${store.profile}" does not exist.`);
+                console.error(chalk.yellow(`   Create it with "dumb profile create ${store.profile}", or go back with "dumb profile use ${DEFAULT_PROFILE}".`));
+                process.exit(1);
+            }
+        } catch (err) {
+            reportError(err);
+            process.exit(1);
+        }
+    })
     .help()
     .alias('h', 'help')
     .wrap(dumb.terminalWidth())
@@ -747,13 +3578,26 @@ dumb.version('1.3.0') // Updated version
     // Update examples
     .example('dumb add', 'Add a new command interactively.')
     .example('dumb ls', 'List all stored commands.')
+    .example('dumb add --project', `Add a command to this repo's ${PROJECT_FILE_NAME}.`)
     .example('dumb find "docker"', 'Search commands/comments/aliases for "docker".')
+    .example('dumb find "tag:docker logs"', 'Search for "logs" among commands tagged docker.')
+    .example('dumb pick deploy', 'Choose among deploy-related commands and run one.')
+    .example('dumb ls --tag docker', 'List only commands tagged docker.')
+    .example('dumb tag 3 +docker -old', 'Add the docker tag and remove the old tag.')
     .example('dumb run 5', 'Execute the command with ID 5.')
     .example('dumb run deploy-app', 'Execute the command with alias "deploy-app".')
     .example('dumb run build assets/style.css public/style.css', 'Run command "build" with arguments.')
+    .example('dumb run deploy branch=main port=9000', 'Fill named placeholders {branch} and {port} by name.')
+    .example('dumb ls --sort usage', 'List commands, most used first.')
+    .example('dumb history deploy-app', 'Show recent runs of "deploy-app".')
     .example('dumb edit 3', 'Edit the command with ID 3.')
     .example('dumb edit fix-db', 'Edit the command with alias "fix-db".')
+    .example('dumb edit 3 --alias new', 'Rename an alias without prompts.')
+    .example('dumb add --command "npm ci" --alias ci', 'Add a command without prompts.')
+    .example('dumb dl 8 --yes', 'Delete without confirmation (scripts/CI).')
     .example('dumb dl 8', 'Delete the command with ID 8.')
+    .example('dumb undo', 'Roll back the last add/edit/delete/import.')
+    .example('dumb restore --list', 'Show snapshots of previous store states.')
     .example('dumb import my_commands.json', 'Import commands, replacing existing ones.')
     .example('dumb import -a shared_commands.json', 'Append commands from a file.')
     .example('dumb export ./backups', 'Export commands to the backups folder.')
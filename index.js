@@ -0,0 +1,2103 @@
+// DumbCLI as a library: the command store and everything that works on saved commands (lookups,
+// placeholders, search, import/export), without printing, prompting or exiting. Failures are
+// thrown as DumbError subclasses. cli.js is the presentation layer on top of this module.
+//
+//   import { CommandStore } from './index.js';
+//   const store = new CommandStore();            // ~/.dumbcli, plus the project store above cwd
+//   const { command } = store.expand('deploy', { values: { branch: 'main' } });
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import { execFileSync, execSync } from 'child_process';
+import YAML from 'yaml';
+
+// --- Configuration ---
+// The data directory: $DUMBCLI_HOME if set, else ~/.dumbcli
+export const getDefaultHome = () => process.env.DUMBCLI_HOME ? path.resolve(process.env.DUMBCLI_HOME) : path.join(os.homedir(), '.dumbcli');
+export const PROJECT_FILE_NAME = '.dumbcli.json'; // Project-scoped store, discovered from cwd upwards
+const MAX_SNAPSHOTS = 20;
+const MAX_REVISIONS = 50; // Saved versions kept per entry (plus its newest verified one)
+const LOCK_TIMEOUT_MS = 10000;
+const LOCK_STALE_MS = 30000;
+
+// --- Errors ---
+// Every error thrown on purpose is a DumbError with a stable `code`, so callers can tell
+// "not found" from "store is corrupted" without matching on messages.
+
+export class DumbError extends Error {
+    constructor(message, code = 'DUMB_ERROR') {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+    }
+}
+
+// A store file exists but can't be read or parsed. Nothing is written while this is unresolved:
+// carrying on with an empty list would let the next write erase everything in it.
+export class StoreReadError extends DumbError {
+    constructor(filePath, message) {
+        super(message, 'STORE_READ');
+        this.filePath = filePath;
+    }
+}
+
+export class StoreWriteError extends DumbError {
+    constructor(filePath, cause) {
+        super(`Could not write ${filePath}: ${cause.message}`, 'STORE_WRITE');
+        this.filePath = filePath;
+        this.cause = cause;
+    }
+}
+
+// Another process held the store lock for longer than LOCK_TIMEOUT_MS
+export class StoreLockError extends DumbError {
+    constructor(lockFile) {
+        super(`Timed out waiting for another dumb process to finish (lock: ${lockFile}).`, 'STORE_LOCKED');
+        this.lockFile = lockFile;
+    }
+}
+
+export class NotFoundError extends DumbError {
+    constructor(specifier, message = `Command with ID or Alias "${specifier}" not found.`) {
+        super(message, 'NOT_FOUND');
+        this.specifier = specifier;
+    }
+}
+
+export class AliasConflictError extends DumbError {
+    constructor(alias) {
+        super(`Alias "${alias}" is already in use.`, 'ALIAS_CONFLICT');
+        this.alias = alias;
+    }
+}
+
+export class ValidationError extends DumbError {
+    constructor(message) {
+        super(message, 'INVALID');
+    }
+}
+
+// Placeholders left without a value (and without a default) when expanding a command
+export class MissingValuesError extends DumbError {
+    constructor(slots) {
+        super(`Missing value(s) for ${slots.map(describeSlot).join(', ')}.`, 'MISSING_VALUES');
+        this.slots = slots;
+    }
+}
+
+// Git failed during `sync` (no repository yet, unreachable remote, rejected push...)
+export class SyncError extends DumbError {
+    constructor(message) {
+        super(message, 'SYNC');
+    }
+}
+
+// Entries changed on both sides of a sync that `resolveConflict` didn't settle. Nothing was written.
+export class SyncConflictError extends DumbError {
+    constructor(conflicts) {
+        super(`${conflicts.length} command(s) were changed both here and on the remote.`, 'SYNC_CONFLICT');
+        this.conflicts = conflicts;
+    }
+}
+
+// --- Safe Storage ---
+// Writes go through a temp file + rename so a crash can never leave a half-written store, and
+// every read-modify-write cycle holds a lock so two terminals can't lose entries or reuse IDs.
+
+export const writeFileAtomic = (filePath, content) => {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+        fs.writeSync(fd, content);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, filePath);
+};
+
+const sleepSync = (ms) => Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+
+// process.exit() skips finally blocks, so make sure a held lock never outlives the process
+const lockedStores = new Set();
+process.on('exit', () => lockedStores.forEach(store => store.releaseLock()));
+
+let snapshotCounter = 0; // Keeps snapshot names unique within one process
+
+// --- Project Stores ---
+// A `.dumbcli.json` in the current directory (or any parent) holds project-scoped commands
+// that live next to the code, so a repo can ship its own build/deploy commands.
+
+// Walk up from `startDir` looking for a project file. Returns its path, or null.
+export const findProjectFile = (startDir = process.cwd()) => {
+    let dir = path.resolve(startDir);
+    while (true) {
+        const candidate = path.join(dir, PROJECT_FILE_NAME);
+        if (fs.existsSync(candidate)) return candidate;
+        const parent = path.dirname(dir);
+        if (parent === dir) return null;
+        dir = parent;
+    }
+};
+
+// Where a new project file goes: the enclosing git repo root, else `startDir`.
+const findProjectFileTarget = (startDir) => {
+    let dir = startDir;
+    while (true) {
+        if (fs.existsSync(path.join(dir, '.git'))) return path.join(dir, PROJECT_FILE_NAME);
+        const parent = path.dirname(dir);
+        if (parent === dir) return path.join(startDir, PROJECT_FILE_NAME);
+        dir = parent;
+    }
+};
+
+// --- Profiles ---
+// Separate command sets in one data directory. The "default" profile is the classic layout
+// (<home>/dumbcli.json + config.json); any other lives in <home>/profiles/<name>/ with its own
+// commands file, config.json (for its nextId) and snapshots. Lock and history stay shared.
+
+export const DEFAULT_PROFILE = 'default';
+
+export const validateProfileName = (name) => {
+    if (!/^[A-Za-z0-9][\w.-]*$/.test(String(name || ''))) {
+        throw new ValidationError(`"${name}" is not a valid profile name (letters, digits, ".", "-" and "_").`);
+    }
+    return String(name);
+};
+
+// Directory holding a profile's files
+export const getProfileDir = (home, name) => name === DEFAULT_PROFILE ? home : path.join(home, 'profiles', name);
+
+export const profileExists = (home, name) => name === DEFAULT_PROFILE || fs.existsSync(getProfileDir(home, name));
+
+// Create an empty profile. Throws ValidationError if the name is bad or already taken.
+export const createProfile = (home, name) => {
+    validateProfileName(name);
+    if (profileExists(home, name)) {
+        throw new ValidationError(`Profile "${name}" already exists.`);
+    }
+    const dir = getProfileDir(home, name);
+    try {
+        fs.mkdirSync(dir, { recursive: true });
+    } catch (err) {
+        throw new StoreWriteError(dir, err);
+    }
+    return dir;
+};
+
+// All profiles in `home`, "default" first
+export const listProfiles = (home) => {
+    const profilesDir = path.join(home, 'profiles');
+    const names = fs.existsSync(profilesDir)
+        ? fs.readdirSync(profilesDir).filter(name => fs.lstatSync(path.join(profilesDir, name)).isDirectory()).sort()
+        : [];
+    return [DEFAULT_PROFILE, ...names.filter(name => name !== DEFAULT_PROFILE)];
+};
+
+// --- Store Schema ---
+// Store files are `{ "version": N, "commands": [...] }`. Older layouts are migrated on read
+// (and persisted on the next write). Fields DumbCLI doesn't know about are always kept.
+//   v1: a bare JSON array of commands (DumbCLI <= 1.3)
+//   v2: the versioned wrapper
+
+export const SCHEMA_VERSION = 2;
+
+// Each migration takes the data of version N and returns version N + 1
+const MIGRATIONS = {
+    1: (commands) => ({ version: 2, commands })
+};
+
+const detectSchemaVersion = (data) => {
+    if (Array.isArray(data)) return 1;
+    if (data && typeof data === 'object' && Array.isArray(data.commands)) return Number(data.version) || 1;
+    return null; // Not a store
+};
+
+// Bring parsed store data up to SCHEMA_VERSION. Throws on unknown or newer layouts.
+export const migrateStoreData = (data, source) => {
+    let version = detectSchemaVersion(data);
+    if (version === null) {
+        throw new ValidationError(`${source} does not contain a DumbCLI command list.`);
+    }
+    if (version > SCHEMA_VERSION) {
+        throw new ValidationError(`${source} uses schema version ${version}, but this DumbCLI only understands up to ${SCHEMA_VERSION}. Please update DumbCLI.`);
+    }
+    let current = version === 1 ? data : data.commands;
+    while (version < SCHEMA_VERSION) {
+        current = MIGRATIONS[version](current).commands;
+        version++;
+    }
+    return { version: detectSchemaVersion(data), commands: current };
+};
+
+// Tags are stored lowercase, without the leading "#", and contain no spaces or commas.
+// Accepts an array or a "docker, #ops k8s" style string.
+export const normalizeTags = (tags) => {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(/[\s,]+/);
+    return [...new Set(list.map(tag => String(tag).trim().replace(/^#/, '').toLowerCase()).filter(Boolean))];
+};
+
+// Ensure essential fields exist while keeping every other field as-is.
+// Missing IDs are assigned after the highest existing one, so they can't collide.
+export const normalizeCommands = (rawCommands, scope) => {
+    let maxId = rawCommands.reduce((max, cmd) => Math.max(max, Number.isInteger(cmd?.id) ? cmd.id : 0), 0);
+    return rawCommands
+        .filter(cmd => cmd && typeof cmd === 'object')
+        .map(cmd => ({
+            ...cmd,
+            id: Number.isInteger(cmd.id) && cmd.id > 0 ? cmd.id : ++maxId,
+            alias: cmd.alias ? String(cmd.alias) : false,
+            command: typeof cmd.command === 'string' && cmd.command.trim() ? cmd.command : 'INVALID_COMMAND',
+            comment: cmd.comment || false,
+            tags: normalizeTags(cmd.tags),
+            scope, // Runtime only, never written to disk
+        }));
+};
+
+export const serializeCommands = (commands) => {
+    // Sort commands by ID for consistency in the file (optional but nice)
+    const sortedCommands = commands
+        .map(({ scope, ...cmd }) => cmd)
+        .sort((a, b) => a.id - b.id);
+    return JSON.stringify({ version: SCHEMA_VERSION, commands: sortedCommands }, null, 2);
+};
+
+// --- Lookups ---
+
+// Project IDs are numbered separately from global ones and shown with a "p" prefix (p1, p2...).
+export const formatId = (cmd) => cmd.scope === 'project' ? `p${cmd.id}` : String(cmd.id);
+
+// Project entries first, then global, each by ID
+export const compareCommands = (a, b) => {
+    if (a.scope !== b.scope) return a.scope === 'project' ? -1 : 1;
+    return a.id - b.id;
+};
+
+// Helper to find a command by ID or Alias
+// Global IDs are plain numbers, project IDs use the "p" prefix (e.g. p3).
+export const findCommandByIdOrAlias = (specifier, commands) => {
+    const searchLower = String(specifier).toLowerCase(); // Ensure string comparison
+    const idMatch = searchLower.match(/^(p?)(\d+)$/); // Attempt to parse as ID
+    const idScope = idMatch?.[1] ? 'project' : 'global';
+
+    // Check IDs first if specifier is a valid ID
+    if (idMatch) {
+        const idSearch = parseInt(idMatch[2], 10);
+        const index = commands.findIndex(cmd => cmd.id === idSearch && (cmd.scope || 'global') === idScope);
+        if (index !== -1) return { command: commands[index], index };
+    }
+    // Then check alias (case-insensitive); project entries are listed first, so they win
+    for (let i = 0; i < commands.length; i++) {
+        const cmd = commands[i];
+        if (cmd.alias && cmd.alias.toLowerCase() === searchLower) {
+             return { command: cmd, index: i };
+        }
+    }
+    return null; // Not found
+};
+
+// Helper to check Alias uniqueness (aliases only need to be unique within one scope)
+export const isAliasUnique = (alias, commands, excludeId = null) => {
+    if (!alias) return true; // Empty/false alias is always "unique"
+    const aliasLower = alias.toLowerCase();
+    return !commands.some(cmd =>
+        cmd.alias &&
+        cmd.alias.toLowerCase() === aliasLower &&
+        cmd.id !== excludeId // Don't compare against the command being edited
+    );
+};
+
+// Shared alias validation for prompts and flags. Returns true or an error message.
+export const validateAlias = (value, scopeCommands, excludeId = null) => {
+    if (!value) return true; // Optional is fine
+    const alias = value.trim();
+    if (/\s|:/.test(alias)) return 'Alias cannot contain spaces or colons.';
+    if (!isAliasUnique(alias, scopeCommands, excludeId)) {
+        return `Alias "${alias}" is already in use.`;
+    }
+    return true;
+};
+
+// Locate `cmd` (read earlier) in a freshly read list, by scope + ID. Returns -1 if it's gone.
+export const findSameCommandIndex = (commands, cmd) => commands.findIndex(other =>
+    (other.scope || 'global') === (cmd.scope || 'global') && other.id === cmd.id
+);
+
+export const commandsInScope = (commands, scope) => commands.filter(cmd => (cmd.scope || 'global') === scope);
+
+// --- Shell Quoting ---
+
+// Work out which shell `execSync` will hand commands to, so values can be escaped for it:
+// $SHELL if set, otherwise the platform default.
+export const detectShell = () => {
+    const shellPath = process.env.SHELL || (process.platform === 'win32' ? (process.env.ComSpec || 'cmd.exe') : '/bin/sh');
+    const name = path.basename(shellPath).toLowerCase().replace(/\.exe$/, '');
+    if (name === 'fish') return 'fish';
+    if (name === 'pwsh' || name === 'powershell') return 'powershell';
+    if (name === 'cmd') return 'cmd';
+    return 'posix'; // sh, bash, zsh, dash, ksh...
+};
+
+// The character each shell uses to escape the next character outside single quotes.
+const ESCAPE_CHAR = { posix: '\\', fish: '\\', powershell: '`', cmd: '^' };
+
+// Scan the template up to `offset` and report whether that position sits inside
+// single quotes, double quotes, or neither.
+export const getQuoteContext = (commandString, offset, shell) => {
+    const escapeChar = ESCAPE_CHAR[shell];
+    let state = 'none';
+    for (let i = 0; i < offset; i++) {
+        const char = commandString[i];
+        if (state === 'none') {
+            if (char === escapeChar) i++;
+            else if (char === "'" && shell !== 'cmd') state = 'single';
+            else if (char === '"') state = 'double';
+        } else if (state === 'single') {
+            if (shell === 'fish' && char === '\\') i++; // fish allows \' and \\ inside single quotes
+            else if (char === "'") state = 'none';
+        } else if (state === 'double') {
+            if (char === escapeChar && shell !== 'cmd') i++;
+            else if (char === '"') state = 'none';
+        }
+    }
+    return state;
+};
+
+// Quote a runtime value so the shell sees it as one literal word, whatever it contains.
+export const quoteForShell = (value, shell, context = 'none') => {
+    switch (shell) {
+        case 'fish':
+            if (context === 'single') return value.replace(/[\\']/g, '\\$&');
+            if (context === 'double') return value.replace(/[\\"$]/g, '\\$&');
+            return /^[\w@%+=:,./-]+$/.test(value) ? value : `'${value.replace(/[\\']/g, '\\$&')}'`;
+        case 'powershell':
+            // PowerShell also treats typographic quotes as quote characters
+            if (context === 'single') return value.replace(/['\u2018\u2019\u201A\u201B]/g, '$&$&');
+            if (context === 'double') return value.replace(/[`"$\u201C\u201D\u201E]/g, '`$&');
+            return /^[\w./:-]+$/.test(value) ? value : `'${value.replace(/['\u2018\u2019\u201A\u201B]/g, '$&$&')}'`;
+        case 'cmd':
+            // cmd.exe has no reliable escape for %VAR% expansion; quoting covers &, |, <, > and spaces
+            if (context === 'double') return value.replace(/"/g, '""');
+            return /^[\w./:\\-]+$/.test(value) ? value : `"${value.replace(/"/g, '""')}"`;
+        default: // posix
+            if (context === 'single') return value.replace(/'/g, `'\\''`);
+            if (context === 'double') return value.replace(/[\\"$`]/g, '\\$&');
+            return /^[\w@%+=:,./-]+$/.test(value) ? value : `'${value.replace(/'/g, `'\\''`)}'`;
+    }
+};
+
+// --- Placeholder Helpers ---
+
+// Matches `{}`, `{name}` and `{name:default}`, each optionally prefixed with `!` for raw
+// (unquoted) substitution. Shell expansions like `${VAR}` are left alone, as are brace groups
+// that don't look like a placeholder (e.g. awk's `{print $1}`).
+export const PLACEHOLDER_REGEX = /(?<!\$)\{(!)?(?:([A-Za-z_][\w-]*)(?::([^{}]*))?)?\}/g;
+
+// Placeholders that fill themselves instead of waiting for a value: `{env:NAME}` (a variable),
+// `{sh:command}` (the command's output) and `{stdin}` (piped input, `{stdin:default}` without).
+export const PLACEHOLDER_SOURCES = ['env', 'sh', 'stdin'];
+
+// Names with a meaning of their own (see parseSpecialSlot)
+export const RESERVED_PLACEHOLDER_NAMES = [...PLACEHOLDER_SOURCES, 'choice', 'file'];
+
+// Slot for the special placeholder forms (see PLACEHOLDER_SOURCES), or null for an ordinary name.
+// `{choice:a|b|c}` takes one of the listed values; `{file}` / `{file:default}` must name an
+// existing path. `{env}`, `{sh}` and `{choice}` without an argument are ordinary placeholders.
+const parseSpecialSlot = (name, argument) => {
+    if ((name === 'env' || name === 'sh') && argument) return { key: `${name}:${argument}`, name: null, source: name, argument };
+    if (name === 'stdin') return { key: name, name: null, source: 'stdin', defaultValue: argument };
+    if (name === 'choice' && argument) {
+        return { key: `${name}:${argument}`, name: null, choices: argument.split('|').map(choice => choice.trim()).filter(Boolean) };
+    }
+    if (name === 'file') return { key: name, name: null, defaultValue: argument, mustExist: true };
+    return null;
+};
+
+// Parse a command string into placeholder tokens and the unique "slots" that need values.
+// Every `{}` is its own slot; a named placeholder is one slot no matter how often it appears.
+// `anonymousStart` continues the `{}` numbering from an earlier string (see parseEntryPlaceholders).
+export const parsePlaceholders = (commandString, anonymousStart = 0) => {
+    const tokens = [];
+    const slots = [];
+    let anonymousCount = anonymousStart;
+
+    for (const match of commandString.matchAll(PLACEHOLDER_REGEX)) {
+        const [token, rawFlag, name, defaultValue] = match;
+        const special = name && parseSpecialSlot(name, defaultValue);
+        let key;
+        if (special) {
+            key = special.key;
+            const existing = slots.find(slot => slot.key === key);
+            if (!existing) slots.push(special);
+            else if (existing.defaultValue === undefined && special.defaultValue !== undefined) existing.defaultValue = special.defaultValue;
+        } else if (name) {
+            key = name;
+            const existing = slots.find(slot => slot.key === key);
+            if (!existing) {
+                slots.push({ key, name, defaultValue });
+            } else if (existing.defaultValue === undefined && defaultValue !== undefined) {
+                existing.defaultValue = defaultValue; // Allow the default on any occurrence
+            }
+        } else {
+            anonymousCount++;
+            key = `#${anonymousCount}`;
+            slots.push({ key, name: null, defaultValue: undefined });
+        }
+        tokens.push({ token, key, raw: Boolean(rawFlag), start: match.index, end: match.index + token.length });
+    }
+    return { tokens, slots };
+};
+
+// Ordinary placeholders of `commandString` that are named like a special form but aren't one
+// (`{env}` without a variable, say), most likely meant as one
+export const findReservedPlaceholders = (commandString) =>
+    parsePlaceholders(commandString).slots.filter(slot => RESERVED_PLACEHOLDER_NAMES.includes(slot.name));
+
+// Assign runtime args to slots: `key=value` pairs fill named slots, the rest fill the
+// remaining slots in order of appearance (except `{env:...}`, `{sh:...}` and `{stdin}`, see
+// resolvePlaceholderSources). Returns the values found plus leftovers.
+// `preset` values (e.g. from a previous run) fill slots before any args are considered.
+export const assignPlaceholderValues = (slots, runtimeArgs = [], preset = {}) => {
+    const values = {};
+    slots.forEach(slot => {
+        if (slot.key in preset) values[slot.key] = preset[slot.key];
+    });
+    const positional = [];
+    const namedKeys = new Set(slots.filter(slot => slot.name).map(slot => slot.key));
+
+    runtimeArgs.forEach(arg => {
+        const pair = String(arg).match(/^([A-Za-z_][\w-]*)=(.*)$/s);
+        if (pair && namedKeys.has(pair[1])) {
+            values[pair[1]] = pair[2];
+        } else {
+            positional.push(String(arg));
+        }
+    });
+
+    // Self-filling placeholders don't take arguments
+    const unfilled = slots.filter(slot => !(slot.key in values) && !slot.source);
+    unfilled.forEach(slot => {
+        if (positional.length > 0) values[slot.key] = positional.shift();
+    });
+
+    return { values, missing: slots.filter(slot => !(slot.key in values)), extra: positional };
+};
+
+// Rebuild a command string with every placeholder token replaced by `replace(token)`.
+export const replacePlaceholders = (commandString, tokens, replace) => {
+    let result = '';
+    let cursor = 0;
+    tokens.forEach(token => {
+        result += commandString.slice(cursor, token.start) + replace(token);
+        cursor = token.end;
+    });
+    return result + commandString.slice(cursor);
+};
+
+// Replace every placeholder token with its slot value. When a shell is given, values are
+// quoted for it (based on the quotes surrounding the token) unless the token is raw (`{!...}`).
+// Tokens without a value (a `{sh:...}` not run yet, see CommandStore.expand) stay as written.
+export const fillPlaceholders = (commandString, tokens, values, shell = null) =>
+    replacePlaceholders(commandString, tokens, ({ token, key, raw, start }) => {
+        if (!(key in values)) return token;
+        const value = String(values[key]);
+        return shell && !raw
+            ? quoteForShell(value, shell, getQuoteContext(commandString, start, shell))
+            : value;
+    });
+
+// Placeholders of a whole entry: the command plus its `cwd` and `env` values, which share slots
+// (a `{name}` used in several of them is filled once). Anonymous `{}` keep counting across parts.
+export const parseEntryPlaceholders = (cmd) => {
+    const command = parsePlaceholders(cmd.command);
+    const slots = [...command.slots];
+    const parsePart = (text) => {
+        const parsed = parsePlaceholders(text, slots.filter(slot => /^#\d+$/.test(slot.key)).length);
+        parsed.slots.forEach(slot => {
+            const existing = slots.find(other => other.key === slot.key);
+            if (!existing) slots.push(slot);
+            else if (existing.defaultValue === undefined) existing.defaultValue = slot.defaultValue;
+        });
+        return parsed.tokens;
+    };
+    const cwdTokens = cmd.cwd ? parsePart(cmd.cwd) : [];
+    const envTokens = Object.fromEntries(Object.entries(cmd.env || {}).map(([key, value]) => [key, parsePart(String(value))]));
+    return { tokens: command.tokens, cwdTokens, envTokens, slots };
+};
+
+export const describeSlot = (slot) => {
+    if (slot.name) return `{${slot.name}}`;
+    return /^#\d+$/.test(slot.key) ? `{} #${slot.key.slice(1)}` : `{${slot.key}}`;
+};
+
+// Fill the `{env:NAME}`, `{sh:command}` and `{stdin}` slots that have no value yet. Commands only
+// run with `runCommands: true`, in `cwd` with the user's shell (otherwise their slots are left out);
+// `readStdin` returns piped input, or null when stdin is a terminal. Returns the values found.
+// Throws ValidationError when a variable is unset, a command fails or there is no input to read.
+export const resolvePlaceholderSources = (slots, values = {}, { cwd = process.cwd(), env = process.env, readStdin = readPipedStdin, runCommands = false } = {}) => {
+    const resolved = {};
+    slots.filter(slot => slot.source && !(slot.key in values) && (runCommands || slot.source !== 'sh')).forEach(slot => {
+        if (slot.source === 'env') {
+            if (env[slot.argument] === undefined) throw new ValidationError(`Environment variable ${slot.argument} is not set (needed for {${slot.key}}).`);
+            resolved[slot.key] = env[slot.argument];
+        } else if (slot.source === 'sh') {
+            try {
+                resolved[slot.key] = execSync(slot.argument, {
+                    cwd,
+                    env,
+                    encoding: 'utf-8',
+                    shell: process.env.SHELL || true,
+                    stdio: ['ignore', 'pipe', 'pipe'],
+                    timeout: 30000
+                }).replace(/[\r\n]+$/, ''); // Like $(...) in a shell
+            } catch (err) {
+                const detail = String(err.stderr || '').trim().split('\n')[0] || err.message;
+                throw new ValidationError(`{${slot.key}} failed: ${detail}`);
+            }
+        } else {
+            const input = readStdin();
+            if (input === null && slot.defaultValue === undefined) throw new ValidationError('{stdin} needs input piped in, but stdin is a terminal.');
+            resolved[slot.key] = input === null ? slot.defaultValue : input.replace(/\r?\n$/, '');
+        }
+    });
+    return resolved;
+};
+
+// Piped input can only be read once: every {stdin} (in every workflow step) gets the same text
+let pipedStdin;
+const readPipedStdin = () => {
+    if (process.stdin.isTTY) return null;
+    pipedStdin ??= fs.readFileSync(0, 'utf-8');
+    return pipedStdin;
+};
+
+// Why `value` doesn't fit `slot` (not one of its choices, or a `{file}` that doesn't exist
+// relative to `cwd`), or null if it does.
+export const checkPlaceholderValue = (slot, value, { cwd = process.cwd() } = {}) => {
+    if (slot.choices && !slot.choices.includes(value)) return `${describeSlot(slot)} takes one of: ${slot.choices.join(', ')} (got "${value}").`;
+    if (slot.mustExist && !fs.existsSync(path.resolve(cwd, String(value).replace(/^~(?=$|\/|\\)/, os.homedir())))) {
+        return `${describeSlot(slot)}: "${value}" does not exist.`;
+    }
+    return null;
+};
+
+// Environment variables are stored as an object. Input is `KEY=value` assignments: an array
+// (one per flag) or a string like `NODE_ENV=production TITLE='My Site'`. Throws on anything else.
+export const parseEnvAssignments = (input) => {
+    const assignments = Array.isArray(input) ? input : splitArgs(String(input || ''));
+    return Object.fromEntries(assignments.filter(Boolean).map(assignment => {
+        const match = String(assignment).match(/^([A-Za-z_]\w*)=(.*)$/s);
+        if (!match) throw new ValidationError(`"${assignment}" is not a KEY=value assignment.`);
+        return [match[1], match[2]];
+    }));
+};
+
+export const formatEnv = (env = {}) => Object.entries(env).map(([key, value]) => `${key}=${quoteForShell(String(value), 'posix')}`).join(' ');
+
+// --- Dangerous Commands ---
+// Commands matching one of these rules are only run after confirmation. Rules are checked against
+// the stored command and again after placeholders are filled, so an empty value that turns
+// `rm -rf {dir}/` into `rm -rf ''/` is caught too.
+
+export const DANGER_RULES = [
+    { name: 'recursive-delete', pattern: /\brm\s+(?:[^|;&]*\s)?(?:-[a-zA-Z]*[rR][a-zA-Z]*|--recursive)\b|\bRemove-Item\b[^|;&]*-Recurse\b/i, reason: 'deletes files recursively' },
+    { name: 'root-target', pattern: /\b(?:rm|chmod|chown|chgrp)\b[^|;&]*\s(?:\/\*?|~\/?\*?|\$HOME\/?\*?)(?=$|\s|[|;&])/, reason: 'targets / or your home directory' },
+    { name: 'raw-write', pattern: /\bdd\b[^|;&]*\bof=/, reason: 'writes raw data to a file or device' },
+    { name: 'format-disk', pattern: /\b(?:mkfs(?:\.\w+)?|wipefs|fdisk|parted)\b/, reason: 'formats or repartitions a disk' },
+    { name: 'force-push', pattern: /\bgit\s+push\b[^|;&]*\s(?:--force\b|--force-with-lease\b|-[a-zA-Z]*f\b)/, reason: 'rewrites remote history' },
+    { name: 'discard-changes', pattern: /\bgit\s+(?:reset\s+(?:[^|;&]*\s)?--hard|clean\s+(?:[^|;&]*\s)?-[a-zA-Z]*f)/, reason: 'discards local changes' },
+    { name: 'sql-drop', pattern: /\b(?:DROP\s+(?:TABLE|DATABASE|SCHEMA)|TRUNCATE\s+TABLE)\b/i, reason: 'drops database objects' },
+    { name: 'kubectl-delete', pattern: /\bkubectl\b[^|;&]*\sdelete\b/, reason: 'deletes Kubernetes resources' }
+];
+
+// The rules a command text breaks. Empty quotes are dropped first: to the shell `''/` is just `/`.
+export const findDangers = (text, rules = DANGER_RULES) => {
+    const normalized = String(text).replace(/''|""/g, '');
+    return rules.filter(rule => rule.pattern.test(normalized));
+};
+
+// --- Workflows ---
+// A workflow is an entry with `type: "workflow"` and a list of steps instead of a shell command:
+//   { ref: "3", args: ["env=prod"] }   run saved command #3 (IDs as shown, p-prefixed for project)
+//   { run: "systemctl restart app" }     an inline command
+// Either may carry `confirm: true` to ask before that step. `onFailure` is "stop" or "continue".
+// Its `command` field holds a readable summary of the steps, so search, import and export keep working.
+
+export const WORKFLOW_FAILURE_POLICIES = ['stop', 'continue'];
+
+// Split a step's argument string like a shell would: whitespace-separated, with '...' / "..." quoting
+export const splitArgs = (text) => {
+    const args = [];
+    let current = null;
+    let quote = null;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quote) {
+            if (char === quote) quote = null;
+            else if (char === '\\' && quote === '"' && i + 1 < text.length) current += text[++i];
+            else current += char;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+            current = current ?? '';
+        } else if (/\s/.test(char)) {
+            if (current !== null) args.push(current);
+            current = null;
+        } else {
+            current = (current ?? '') + (char === '\\' && i + 1 < text.length ? text[++i] : char);
+        }
+    }
+    if (current !== null) args.push(current);
+    return args;
+};
+
+// Parse a step spec: `build`, `migrate env=prod 42` (ID/alias plus placeholder arguments) or
+// `sh:<inline command>`; a leading `?` asks for confirmation before the step. Throws on bad specs.
+export const parseWorkflowStep = (spec, commands, scope) => {
+    let text = spec.trim();
+    const confirm = text.startsWith('?');
+    if (confirm) text = text.slice(1).trim();
+
+    if (/^sh:/i.test(text)) {
+        const run = text.slice(3).trim();
+        if (!run) throw new ValidationError(`Step "${spec}" has no command after "sh:".`);
+        return { run, ...(confirm && { confirm }) };
+    }
+    const [ref, ...args] = splitArgs(text);
+    if (!ref) throw new ValidationError('Steps cannot be empty.');
+    const found = findCommandByIdOrAlias(ref, commands);
+    if (!found) throw new ValidationError(`Step "${spec}": no command with ID or Alias "${ref}".`);
+    if (found.command.type === 'workflow') throw new ValidationError(`Step "${spec}": workflows can't run other workflows.`);
+    if (scope === 'project' && found.command.scope !== 'project') {
+        throw new ValidationError(`Step "${spec}": project workflows can only use project commands (teammates don't have your global ones).`);
+    }
+    return { ref: formatId(found.command), ...(args.length && { args }), ...(confirm && { confirm }) };
+};
+
+// The spec a step was created from (used for the summary and to pre-fill edits)
+export const formatWorkflowStep = (step) => {
+    const quoteArg = (arg) => /^[\w@%+=:,./-]+$/.test(arg) ? arg : `"${arg.replace(/["\\]/g, '\\$&')}"`;
+    const body = step.run !== undefined ? `sh:${step.run}` : [step.ref, ...(step.args || []).map(quoteArg)].join(' ');
+    return `${step.confirm ? '?' : ''}${body}`;
+};
+
+export const summarizeWorkflow = (steps) => `workflow: ${steps.map(formatWorkflowStep).join(' → ')}`;
+
+// Workflows (in the given list) with a step that points at `cmd`
+export const findDependentWorkflows = (cmd, commands) => commands.filter(other =>
+    other.type === 'workflow' && (other.steps || []).some(step => step.ref === formatId(cmd))
+);
+
+// Steps as written to files read on other machines (exports): "uid:<uid>" instead of a local ID.
+// A step whose command has no uid yet keeps its ID (see planImport).
+const toUidRefs = (steps, commands) => steps.map(step => {
+    if (step.ref === undefined) return step;
+    const target = findCommandByIdOrAlias(step.ref, commands)?.command;
+    return target?.uid ? { ...step, ref: `uid:${target.uid}` } : step;
+});
+
+// --- Fuzzy Search ---
+// Ranks commands against a free-text query: every query word must match some field, in any
+// order, with small typos forgiven. Alias hits count most, then command text, then comment/tags.
+
+const FIELD_WEIGHTS = { alias: 3, command: 2, comment: 1.5, tags: 1.5 };
+
+// Optimal string alignment distance (Levenshtein plus adjacent transpositions).
+const editDistance = (a, b) => {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return rows[a.length][b.length];
+};
+
+// True when every character of `term` appears in `text` in order (e.g. "gco" in "git-checkout").
+const isSubsequence = (term, text) => {
+    let pos = 0;
+    for (const char of text) {
+        if (char === term[pos]) pos++;
+        if (pos === term.length) return true;
+    }
+    return false;
+};
+
+// Score one query word against one field's text, from 0 (no match) to 1 (exact).
+const scoreTerm = (term, text, { allowSubsequence = false } = {}) => {
+    if (!text) return 0;
+    const lower = text.toLowerCase();
+    if (lower === term) return 1;
+    const words = lower.split(/[^\p{L}\p{N}_]+/u).filter(Boolean);
+    if (words.includes(term)) return 0.9;
+    if (words.some(word => word.startsWith(term))) return 0.8;
+    if (lower.includes(term)) return 0.7;
+
+    // Typo tolerance grows with the length of the word typed
+    const maxEdits = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+    if (maxEdits > 0) {
+        const distance = Math.min(...words.map(word =>
+            Math.min(editDistance(term, word), editDistance(term, word.slice(0, term.length)))
+        ));
+        if (distance <= maxEdits) return 0.5 - 0.1 * distance;
+    }
+    if (allowSubsequence && term.length >= 2 && isSubsequence(term, lower)) return 0.3;
+    return 0;
+};
+
+// Relevance of a command for the given query words (0 means it doesn't match).
+const scoreCommand = (cmd, terms) => {
+    const fields = {
+        alias: cmd.alias || '',
+        command: cmd.command,
+        comment: cmd.comment || '',
+        tags: cmd.tags.join(' ')
+    };
+    let total = 0;
+    for (const term of terms) {
+        if (term === formatId(cmd).toLowerCase()) { total += 4; continue; }
+        const best = Math.max(...Object.entries(fields).map(([field, text]) =>
+            scoreTerm(term, text, { allowSubsequence: field === 'alias' }) * FIELD_WEIGHTS[field]
+        ));
+        if (best === 0) return 0;
+        total += best;
+    }
+    return total;
+};
+
+// Filter and sort commands by relevance. `tag:<name>` terms act as strict filters.
+// With `usageCount(cmd)` (how often it was run), frequently run commands get a gentle boost.
+export const rankCommands = (commands, query = '', usageCount = null) => {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const wantedTags = normalizeTags(terms.filter(term => term.startsWith('tag:')).map(term => term.slice(4)));
+    const textTerms = terms.filter(term => !term.startsWith('tag:'));
+
+    return commands
+        .filter(cmd => wantedTags.every(tag => cmd.tags.includes(tag)))
+        .map(cmd => ({ cmd, score: textTerms.length ? scoreCommand(cmd, textTerms) : 1 }))
+        .filter(({ score }) => score > 0)
+        .map(({ cmd, score }) => ({
+            cmd,
+            score: usageCount ? score * (1 + 0.1 * Math.log1p(usageCount(cmd))) : score
+        }))
+        .sort((a, b) => b.score - a.score || compareCommands(a.cmd, b.cmd))
+        .map(({ cmd }) => cmd);
+};
+
+// --- Export Formats ---
+// Renderers for `dumb export --format`. Shell formats turn every command into a function whose
+// arguments fill the placeholders in order of first appearance, just like `dumb run` does.
+
+// Variable holding a slot's value inside the function: {port} -> arg_port, the second {} -> arg_2,
+// the special forms ({env:...}, {choice:...}...) by their position among `slots` -> src_3
+const slotVariable = (slot, slots) => {
+    if (slot.name) return `arg_${slot.name.replace(/-/g, '_')}`;
+    return /^#\d+$/.test(slot.key) ? `arg_${slot.key.slice(1)}` : `src_${slots.indexOf(slot) + 1}`;
+};
+
+// Functions are named after the alias when that's a valid name in every shell, else dumb_<id>.
+// An alias that also appears in the command (`ls` for `ls -la`) would make the function call itself.
+const exportFunctionName = (cmd) => {
+    const usable = cmd.alias && /^[A-Za-z_][\w-]*$/.test(cmd.alias) &&
+        !cmd.command.split(/[^\w-]+/).includes(cmd.alias);
+    return usable ? cmd.alias : `dumb_${formatId(cmd)}`;
+};
+
+// How each shell reads a variable: quoted as one word, split into words (raw `{!}`), or from
+// inside a quoted part of the template (the template's quote is closed around the variable)
+// bash/zsh: a self-filling placeholder's value (see PLACEHOLDER_SOURCES) as a local variable
+const posixSource = (slot, v) => ({
+    env: `    local ${v}="$${slot.argument}"`,
+    sh: `    local ${v}; ${v}=$(${slot.argument})`,
+    stdin: `    local ${v}; ${v}=$(cat)`
+})[slot.source];
+
+// PowerShell doesn't join 'a'"$b"'c' into one argument the way POSIX shells do, so a single-quoted
+// part that holds placeholders is rewritten as one double-quoted string first: 'hi {who}!' ->
+// "hi {who}!", with its literal text escaped for double quotes.
+const doubleQuotePowerShellSpans = (command) => {
+    const { tokens } = parsePlaceholders(command);
+    const spans = [];
+    let state = 'none';
+    let open = null;
+    for (let i = 0; i < command.length; i++) {
+        const char = command[i];
+        if (state === 'none') {
+            if (char === '`') i++;
+            else if (char === "'") [state, open] = ['single', i];
+            else if (char === '"') state = 'double';
+        } else if (state === 'single') {
+            if (char === "'" && command[i + 1] === "'") i++; // '' is a literal quote
+            else if (char === "'") {
+                spans.push([open, i]);
+                state = 'none';
+            }
+        } else if (char === '`') {
+            i++;
+        } else if (char === '"') {
+            state = 'none';
+        }
+    }
+
+    const literal = (text) => quoteForShell(text.replace(/''/g, "'"), 'powershell', 'double');
+    let result = '';
+    let cursor = 0;
+    spans.forEach(([start, end]) => {
+        const inside = tokens.filter(token => token.start > start && token.end <= end);
+        if (inside.length === 0) return;
+        result += command.slice(cursor, start) + '"';
+        let position = start + 1;
+        inside.forEach(token => {
+            result += literal(command.slice(position, token.start)) + token.token;
+            position = token.end;
+        });
+        result += literal(command.slice(position, end)) + '"';
+        cursor = end + 1;
+    });
+    return result + command.slice(cursor);
+};
+
+const SHELL_EXPORTS = {
+    bash: {
+        extension: 'sh',
+        quoteShell: 'posix',
+        quoted: (v) => `"$${v}"`,
+        split: (v) => `$${v}`,
+        inside: (v, context) => context === 'double' ? `\${${v}}` : `'"$${v}"'`,
+        source: posixSource
+    },
+    zsh: {
+        extension: 'zsh',
+        quoteShell: 'posix',
+        quoted: (v) => `"$${v}"`,
+        split: (v) => `\${=${v}}`,
+        inside: (v, context) => context === 'double' ? `\${${v}}` : `'"$${v}"'`,
+        source: posixSource
+    },
+    fish: {
+        extension: 'fish',
+        quoteShell: 'fish',
+        quoted: (v) => `"$${v}"`,
+        split: (v) => `(string split -n ' ' -- $${v})`,
+        inside: (v, context) => context === 'double' ? `""$${v}""` : `'"$${v}"'`,
+        source: (slot, v) => ({
+            env: `    set -l ${v} $${slot.argument}`,
+            sh: `    set -l ${v} (${slot.argument} | string collect)`,
+            stdin: `    set -l ${v} (cat | string collect)`
+        })[slot.source]
+    },
+    powershell: {
+        extension: 'ps1',
+        quoteShell: 'powershell',
+        quoted: (v) => `"\${${v}}"`,
+        split: (v) => `(\${${v}} -split ' ')`,
+        inside: (v) => `\${${v}}`, // Single-quoted parts are double-quoted by now (see template)
+        template: doubleQuotePowerShellSpans,
+        source: (slot, v) => ({
+            env: `    $${v} = $env:${slot.argument}`,
+            sh: `    $${v} = (${slot.argument}) -join "\`n"`,
+            stdin: `    $${v} = @($input) -join "\`n"`
+        })[slot.source]
+    }
+};
+
+// One function per command. Names are de-duplicated in the order given (project entries come first).
+const renderShellExport = (commands, format) => {
+    const shell = SHELL_EXPORTS[format];
+    // PowerShell needs string literals in param() defaults, so always quote there
+    const quote = (value) => format === 'powershell'
+        ? `'${quoteForShell(String(value), 'powershell', 'single')}'`
+        : quoteForShell(String(value), shell.quoteShell);
+    const usedNames = new Set();
+    const header = format === 'powershell'
+        ? `# Generated by DumbCLI on ${new Date().toISOString()}. Load it with: . .\\<file>.ps1`
+        : `# Generated by DumbCLI on ${new Date().toISOString()}. Load it with: source <file>`;
+
+    const skipped = commands.filter(cmd => cmd.type === 'workflow');
+    const functions = commands.filter(cmd => cmd.type !== 'workflow').map(cmd => {
+        let name = exportFunctionName(cmd);
+        if (usedNames.has(name)) name = `dumb_${formatId(cmd)}`;
+        usedNames.add(name);
+
+        const template = shell.template ? shell.template(cmd.command) : cmd.command;
+        const { tokens, slots } = parsePlaceholders(template);
+        // Self-filling placeholders are set inside the function; the others become its arguments
+        const sources = slots.filter(slot => slot.source).map(slot => shell.source(slot, slotVariable(slot, slots)));
+        const args = slots.filter(slot => !slot.source);
+        const body = replacePlaceholders(template, tokens, ({ key, raw, start }) => {
+            const variable = slotVariable(slots.find(slot => slot.key === key), slots);
+            const context = getQuoteContext(template, start, shell.quoteShell);
+            if (context !== 'none') return shell.inside(variable, context);
+            return raw ? shell.split(variable) : shell.quoted(variable);
+        });
+        const missing = (slot) => quote(`${name}: missing argument ${describeSlot(slot)}`);
+        const comment = cmd.comment ? `# ${cmd.comment.replace(/\n/g, ' ')}\n` : '';
+
+        if (format === 'fish') {
+            const lines = args.flatMap((slot, index) => {
+                const variable = slotVariable(slot, slots);
+                return [
+                    `    set -l ${variable} $argv[${index + 1}]`,
+                    slot.defaultValue !== undefined
+                        ? `    test -n "$${variable}"; or set ${variable} ${quote(slot.defaultValue)}`
+                        : `    test -n "$${variable}"; or begin; echo ${missing(slot)} >&2; return 1; end`
+                ];
+            });
+            const description = cmd.comment ? ` --description ${quote(cmd.comment)}` : '';
+            return `function ${name}${description}\n${[...lines, ...sources, `    ${body}`].join('\n')}\nend`;
+        }
+        if (format === 'powershell') {
+            const params = args.map(slot => `[string]$${slotVariable(slot, slots)}${slot.defaultValue !== undefined ? ` = ${quote(slot.defaultValue)}` : ''}`);
+            const lines = [
+                ...(params.length ? [`    param(${params.join(', ')})`] : []),
+                ...args.filter(slot => slot.defaultValue === undefined).map(slot => `    if (-not $${slotVariable(slot, slots)}) { throw ${missing(slot)} }`),
+                ...sources,
+                `    ${body}`
+            ];
+            return `${comment}function ${name} {\n${lines.join('\n')}\n}`;
+        }
+        // bash / zsh
+        const lines = args.map((slot, index) => slot.defaultValue !== undefined
+            ? `    local ${slotVariable(slot, slots)}=\${${index + 1}:-${quote(slot.defaultValue)}}`
+            : `    local ${slotVariable(slot, slots)}=\${${index + 1}:?${missing(slot)}}`);
+        return `${comment}${name}() {\n${[...lines, ...sources, `    ${body}`].join('\n')}\n}`;
+    });
+    const skippedNote = skipped.length ? `\n# Workflows are not exported as functions: ${skipped.map(formatId).join(', ')}\n` : '';
+    return `${header}\n\n${functions.join('\n\n')}\n${skippedNote}`;
+};
+
+// A runbook table for wikis and READMEs
+const renderMarkdownExport = (commands) => {
+    const cell = (text) => String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+    const code = (text) => text.includes('`') ? `\`\` ${cell(text)} \`\`` : `\`${cell(text)}\``;
+    const rows = commands.map(cmd => {
+        const args = parsePlaceholders(cmd.command).slots
+            .map(slot => slot.defaultValue !== undefined ? `${code(describeSlot(slot))} (default ${code(slot.defaultValue)})` : code(describeSlot(slot)))
+            .join(', ');
+        const description = [cmd.comment || '', cmd.tags.map(tag => `#${tag}`).join(' ')].filter(Boolean).join(' ');
+        return `| ${formatId(cmd)} | ${cmd.alias ? code(cmd.alias) : ''} | ${code(cmd.command)} | ${args} | ${cell(description)} |`;
+    });
+    return [
+        '# Command Runbook',
+        '',
+        `_Generated by DumbCLI on ${new Date().toISOString()}. Run any entry with \`dumb run <id|alias> [args]\`._`,
+        '',
+        '| ID | Alias | Command | Arguments | Description |',
+        '| :--- | :--- | :--- | :--- | :--- |',
+        ...rows,
+        ''
+    ].join('\n');
+};
+
+export const EXPORT_FORMATS = {
+    json: { extension: 'json', render: (commands) => serializeCommands(commands) },
+    yaml: { extension: 'yaml', render: (commands) => YAML.stringify(JSON.parse(serializeCommands(commands))) },
+    markdown: { extension: 'md', render: renderMarkdownExport },
+    ...Object.fromEntries(Object.entries(SHELL_EXPORTS).map(([format, { extension }]) =>
+        [format, { extension, render: (commands) => renderShellExport(commands, format) }]))
+};
+
+// --- Import Planning ---
+// Three modes: replace the global store, append everything, or merge, which matches entries by
+// `uid` or command text and updates them in place instead of duplicating them. Alias clashes
+// follow a policy: skip (import without that alias), rename (alias-2, alias-3...), overwrite
+// (take the alias away from its current owner) or ask (left to the caller).
+
+export const IMPORT_CONFLICT_POLICIES = ['skip', 'rename', 'overwrite', 'ask'];
+
+export const normalizeCommandText = (command) => String(command).trim().replace(/\s+/g, ' ');
+
+// Fields whose values differ between two versions of an entry (runtime `scope` ignored)
+export const diffFields = (before, after) => [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(key => key !== 'scope' && JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+
+// First free global ID: never behind config.json nor the highest stored ID
+const firstFreeId = (globalCommands, config) =>
+    Math.max(Number(config.nextId) || 1, globalCommands.reduce((max, cmd) => Math.max(max, cmd.id), 0) + 1);
+
+// Work out the new global list without touching disk. `decideConflict({ index, alias, holder })`
+// picks the policy for each alias clash. Returns the list, a change record per affected entry
+// (for the dry-run diff and the summary) and the next free ID. Throws ValidationError when a
+// workflow step points at a command that is neither in the file nor in the list.
+export const planImport = (globalCommands, importedCommands, { mode, nextId, decideConflict }) => {
+    const result = mode === 'replace' ? [] : globalCommands.map(cmd => ({ ...cmd }));
+    const changes = mode === 'replace' ? globalCommands.map(cmd => ({ type: 'remove', cmd, notes: [] })) : [];
+    const changeFor = new Map();
+    const noteChange = (entry, type) => {
+        if (!changeFor.has(entry)) {
+            const change = { type, cmd: entry, before: { ...entry }, notes: [] };
+            changes.push(change);
+            changeFor.set(entry, change);
+        }
+        return changeFor.get(entry);
+    };
+
+    // Returns the alias `entry` ends up with, or null to leave its current one.
+    // An entry that already has an alias keeps it when the wanted one is taken, so re-importing
+    // the same file doesn't raise the same conflicts again.
+    const claimAlias = (wanted, entry, index, notes) => {
+        const alias = String(wanted).trim();
+        if (/\s|:/.test(alias)) {
+            notes.push(`alias "${alias}" contains spaces or colons and was dropped`);
+            return null;
+        }
+        const holder = result.find(other => other !== entry && other.alias && other.alias.toLowerCase() === alias.toLowerCase());
+        if (!holder) return alias;
+        if (entry.alias) {
+            notes.push(`alias "${alias}" is taken by ${holder.id}, keeping "${entry.alias}"`);
+            return null;
+        }
+
+        const resolution = decideConflict({ index, alias, holder, command: entry.command });
+        if (resolution === 'rename') {
+            let suffix = 2;
+            while (!isAliasUnique(`${alias}-${suffix}`, result)) suffix++;
+            notes.push(`alias "${alias}" is taken by ${holder.id}, renamed to "${alias}-${suffix}"`);
+            return `${alias}-${suffix}`;
+        }
+        if (resolution === 'overwrite') {
+            noteChange(holder, 'update');
+            holder.alias = false;
+            notes.push(`alias "${alias}" taken over from ${holder.id}`);
+            return alias;
+        }
+        notes.push(`alias "${alias}" is taken by ${holder.id}, ${resolution === 'ask' ? 'would ask' : 'skipped'}`);
+        return null;
+    };
+
+    const fromFile = []; // [imported entry, the entry it became here], for the workflow steps below
+    importedCommands.forEach((impCmd, index) => {
+        const { scope, id, alias, ...fields } = impCmd; // Keep fields we don't manage (dates, etc.)
+        fields.command = fields.command.trim();
+        fields.comment = (typeof fields.comment === 'string' && fields.comment.trim()) || false; // Exports store a missing comment as false
+        fields.tags = normalizeTags(fields.tags);
+
+        const match = mode === 'merge' && (
+            (fields.uid && result.find(cmd => cmd.uid === fields.uid)) ||
+            result.find(cmd => normalizeCommandText(cmd.command) === normalizeCommandText(fields.command))
+        );
+        if (match) {
+            if (!(fields.uid && match.uid === fields.uid)) delete fields.command; // Matched by text: keep the local spelling
+            const change = noteChange(match, 'update');
+            // Imported values win, but an empty one never clears what's already there. The local uid
+            // stays (sync and revisions know the entry by it), and steps are set below, once their
+            // refs point at local IDs.
+            Object.entries(fields).forEach(([key, value]) => {
+                if (key === 'uid' || key === 'steps') return;
+                if (value === false || value === undefined || (Array.isArray(value) && value.length === 0)) return;
+                match[key] = value;
+            });
+            if (alias && String(alias).trim().toLowerCase() !== String(match.alias || '').toLowerCase()) {
+                const claimed = claimAlias(alias, match, index, change.notes);
+                if (claimed !== null) match.alias = claimed;
+            }
+            fromFile.push([impCmd, match]);
+            return;
+        }
+
+        // Fresh IDs, assigned sequentially. A uid that is already taken (appending a file twice) is replaced.
+        const uid = fields.uid && !result.some(cmd => cmd.uid === fields.uid) ? fields.uid : createUid();
+        const entry = { id: nextId++, ...fields, uid, alias: false };
+        result.push(entry);
+        const change = noteChange(entry, 'add');
+        if (alias) {
+            const claimed = claimAlias(alias, entry, index, change.notes);
+            if (claimed !== null) entry.alias = claimed;
+        }
+        fromFile.push([impCmd, entry]);
+    });
+
+    // Workflow steps in the file point at "uid:<uid>" (see toUidRefs), or at the exporting store's
+    // IDs in older files. Both are turned into the IDs those commands have here now.
+    const stepTarget = (ref) => {
+        const uid = /^uid:(.+)$/.exec(ref)?.[1];
+        if (uid) return fromFile.find(([imported]) => imported.uid === uid)?.[1] || result.find(cmd => cmd.uid === uid);
+        const sources = fromFile.filter(([imported]) => imported.id !== undefined && String(imported.id) === ref.replace(/^p/i, ''));
+        return sources.length === 1 ? sources[0][1] : null;
+    };
+    fromFile.filter(([imported]) => Array.isArray(imported.steps)).forEach(([imported, entry]) => {
+        const steps = imported.steps.map((step, index) => {
+            if (step.ref === undefined) return step;
+            const target = stepTarget(String(step.ref));
+            if (!target) {
+                throw new ValidationError(`Workflow "${imported.alias || summarizeWorkflow(imported.steps)}": step ${index + 1} points at ${step.ref}, ` +
+                    `which is neither in the import file nor in this store. Export the workflow together with the commands it runs.`);
+            }
+            return { ...step, ref: formatId(target) };
+        });
+        entry.steps = steps;
+        entry.command = summarizeWorkflow(steps);
+    });
+
+    changes.forEach(change => {
+        if (change.type === 'update' && diffFields(change.before, change.cmd).length === 0) change.type = 'unchanged';
+    });
+    return { result, changes, nextId };
+};
+
+// Commands from an export file (JSON or YAML, current or legacy layout), minus entries without
+// command text. Throws a ValidationError when the file is missing or not a command list.
+export const readImportFile = (filePath) => {
+    const targetPath = path.resolve(filePath);
+    if (!fs.existsSync(targetPath) || !fs.lstatSync(targetPath).isFile()) {
+        throw new ValidationError(`Import file "${targetPath}" not found or is not a file.`);
+    }
+    let data;
+    try {
+        const fileContent = fs.readFileSync(targetPath, 'utf-8');
+        data = /\.ya?ml$/i.test(targetPath) ? YAML.parse(fileContent) : JSON.parse(fileContent);
+    } catch (err) {
+        throw new ValidationError(`Could not parse import file "${targetPath}": ${err.message}`);
+    }
+    return migrateStoreData(data, path.basename(targetPath)).commands
+        .filter(cmd => cmd && typeof cmd.command === 'string' && cmd.command.trim());
+};
+
+// --- Revisions ---
+// Every change made through update() is kept in <home>/revisions/<uid>.jsonl, one file per entry,
+// so a "fix" that broke a trusted command can be looked at and undone. Lines are appended:
+//   { uid, rev, savedAt, operation, entry }   a saved version (fields without id, uid and scope)
+//   { uid, rev, verifiedAt }                  that version ran successfully
+// `savedAt` is null for versions that were first seen rather than saved (older entries, or
+// changes made by import, sync or by hand). Past MAX_REVISIONS versions the oldest are dropped,
+// except the newest verified one. Older DumbCLIs kept every entry in <home>/revisions.jsonl; that
+// file is split up on first use.
+
+const revisionFields = ({ id, uid, scope, ...entry }) => entry;
+
+const sameFields = (a, b) => diffFields(a, b).length === 0;
+
+// Word-level diff of two strings: [{ type: 'same' | 'added' | 'removed', text }], whitespace kept
+export const diffWords = (before, after) => {
+    const tokenize = (text) => String(text ?? '').match(/\s+|\S+/g) || [];
+    const [a, b] = [tokenize(before), tokenize(after)];
+    // Longest common subsequence lengths of every pair of suffixes
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+    const parts = [];
+    const push = (type, text) => {
+        const last = parts[parts.length - 1];
+        if (last?.type === type) last.text += text;
+        else parts.push({ type, text });
+    };
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            push('same', a[i++]);
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            push('removed', a[i++]);
+        } else {
+            push('added', b[j++]);
+        }
+    }
+    a.slice(i).forEach(token => push('removed', token));
+    b.slice(j).forEach(token => push('added', token));
+    return parts;
+};
+
+// --- Sync ---
+// `sync` keeps one profile's global commands in a git repository: <home>/sync is a clone of the
+// remote, holding one <profile>.json per profile. Numeric IDs are local to each machine, so
+// entries are matched by their `uid` and the synced files carry no IDs; workflow steps point at
+// "uid:<uid>" there and get mapped back to the local IDs.
+
+const SYNC_GIT_TIMEOUT_MS = 60000;
+
+export const createUid = () => crypto.randomUUID();
+
+// Run git in `dir` and return its trimmed output. Throws SyncError with git's own complaint.
+const runGit = (dir, args) => {
+    try {
+        return execFileSync('git', args, {
+            cwd: dir,
+            encoding: 'utf-8',
+            stdio: ['ignore', 'pipe', 'pipe'],
+            timeout: SYNC_GIT_TIMEOUT_MS,
+            env: { ...process.env, GIT_TERMINAL_PROMPT: '0' } // Fail instead of asking for credentials
+        }).trim();
+    } catch (err) {
+        if (err.code === 'ENOENT') throw new SyncError('git is not installed (or not on PATH); sync needs it.');
+        const detail = String(err.stderr || err.message).trim().split('\n')[0].replace(/^(fatal|error): /, '');
+        throw new SyncError(`git ${args[0]} failed: ${detail}`);
+    }
+};
+
+// Like runGit, but null instead of an error (for "does this ref/file exist" questions)
+const tryGit = (dir, args) => {
+    try {
+        return runGit(dir, args);
+    } catch {
+        return null;
+    }
+};
+
+// Global commands as written to the sync repository: no local ID or scope, steps by uid
+const toSyncEntries = (globalCommands) => {
+    const uidById = new Map(globalCommands.map(cmd => [formatId(cmd), cmd.uid]));
+    return globalCommands.map(({ id, scope, ...entry }) => {
+        if (!Array.isArray(entry.steps)) return entry;
+        // Global IDs mean something else on the next machine, even those of deleted commands
+        const steps = entry.steps.map(step => /^\d+$/.test(step.ref) ? { ...step, ref: `uid:${uidById.get(step.ref) || 'missing'}` } : step);
+        return { ...entry, steps, command: summarizeWorkflow(steps) };
+    });
+};
+
+// The reverse: entries known here keep their local ID, new ones get IDs from `nextId` on
+export const fromSyncEntries = (entries, globalCommands, nextId) => {
+    const idByUid = new Map(globalCommands.map(cmd => [cmd.uid, cmd.id]));
+    const commands = entries.map(entry => ({ id: idByUid.get(entry.uid) ?? nextId++, ...entry, scope: 'global' }));
+    const refByUid = new Map(commands.map(cmd => [`uid:${cmd.uid}`, formatId(cmd)]));
+    commands.filter(cmd => Array.isArray(cmd.steps)).forEach(cmd => {
+        cmd.steps = cmd.steps.map(step => refByUid.has(step.ref) ? { ...step, ref: refByUid.get(step.ref) } : step);
+        cmd.command = summarizeWorkflow(cmd.steps);
+    });
+    return { commands, nextId };
+};
+
+// Three-way merge of sync entries by uid. A field changed on one side only takes that change;
+// edits to different fields of one entry combine. Fields changed differently on both sides, and
+// an edit against a delete, are conflicts: `resolveConflict({ uid, base, local, remote, fields })`
+// answers "local" or "remote" (anything else leaves it unresolved). Missing entries are null.
+export const mergeCommandSets = (base, local, remote, resolveConflict = () => null) => {
+    const byUid = (entries) => new Map(entries.map(entry => [entry.uid, entry]));
+    const [baseByUid, localByUid, remoteByUid] = [base, local, remote].map(byUid);
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const sameEntry = (a, b) => a && b ? diffFields(a, b).length === 0 : a === b;
+    const merged = [];
+    const unresolved = [];
+
+    [...new Set([...localByUid.keys(), ...remoteByUid.keys()])].forEach(uid => {
+        const [baseEntry, localEntry, remoteEntry] = [baseByUid, localByUid, remoteByUid].map(entries => entries.get(uid) || null);
+        const keep = (entry) => { if (entry) merged.push(entry); };
+        if (sameEntry(localEntry, remoteEntry) || sameEntry(remoteEntry, baseEntry)) return keep(localEntry);
+        if (sameEntry(localEntry, baseEntry)) return keep(remoteEntry);
+
+        // Changed on both sides: combine field by field where possible
+        let entry = null;
+        let fields = [];
+        if (localEntry && remoteEntry) {
+            entry = {};
+            [...new Set([...Object.keys(localEntry), ...Object.keys(remoteEntry)])].forEach(key => {
+                const [baseValue, localValue, remoteValue] = [baseEntry?.[key], localEntry[key], remoteEntry[key]];
+                const value = same(localValue, baseValue) ? remoteValue : localValue;
+                if (!same(localValue, remoteValue) && !same(localValue, baseValue) && !same(remoteValue, baseValue)) fields.push(key);
+                if (value !== undefined) entry[key] = value;
+            });
+            if (fields.length === 0) return keep(entry);
+        } else {
+            fields = ['deleted'];
+        }
+
+        const conflict = { uid, base: baseEntry, local: localEntry, remote: remoteEntry, fields };
+        const side = resolveConflict(conflict);
+        if (side !== 'local' && side !== 'remote') return unresolved.push(conflict);
+        const chosen = side === 'local' ? localEntry : remoteEntry;
+        if (!entry) return keep(chosen);
+        fields.forEach(key => { if (chosen[key] === undefined) delete entry[key]; else entry[key] = chosen[key]; });
+        keep(entry);
+    });
+    return { merged, unresolved };
+};
+
+// --- Command Store ---
+// The global store (`<home>/dumbcli.json`) merged with the project store found above `cwd`.
+// Entries carry a runtime `scope` ('project' or 'global') that decides which file they live in.
+// Every mutating method re-reads the stores under the lock, snapshots the files it changes
+// (see undo/restoreSnapshot) and returns the affected entry.
+
+export class CommandStore {
+    // `home` holds the global store, config.json, the lock and snapshots; `profile` picks another
+    // command set in it (see Profiles), with its own snapshots. `commandsFile` replaces the global store with any file;
+    // without a `configFile` its IDs then continue from the highest one in the file. `projectFile`
+    // defaults to the nearest .dumbcli.json above `cwd`; pass null to ignore project stores.
+    // `onWarning(message)` hears about problems that don't stop an operation (unreadable
+    // config.json, failed snapshot, a damaged file set aside by a restore).
+    constructor({ home = getDefaultHome(), profile = DEFAULT_PROFILE, commandsFile, configFile, projectFile, cwd = process.cwd(), onWarning = () => {} } = {}) {
+        this.home = path.resolve(home);
+        this.cwd = path.resolve(cwd);
+        this.profile = commandsFile ? null : validateProfileName(profile); // null: a custom commandsFile
+        const profileDir = getProfileDir(this.home, this.profile || DEFAULT_PROFILE);
+        this.commandsFile = commandsFile ? path.resolve(commandsFile) : path.join(profileDir, 'dumbcli.json');
+        this.configFile = configFile !== undefined ? configFile && path.resolve(configFile) // For storing next ID
+            : commandsFile ? null : path.join(profileDir, 'config.json');
+        this.lockFile = path.join(this.home, 'store.lock'); // Held during read-modify-write cycles
+        this.snapshotsDir = path.join(profileDir, 'snapshots'); // Previous store states, for undo/restore (custom files: <home>/snapshots)
+        this.syncDir = path.join(this.home, 'sync'); // Git clone used by sync()
+        this.revisionsDir = path.join(this.home, 'revisions'); // Earlier versions of every entry, one file per uid
+        this.projectFile = projectFile === undefined ? findProjectFile(this.cwd) : projectFile; // Set once a project entry is first written
+        this.onWarning = onWarning;
+        this.lockDepth = 0; // The lock is re-entrant within one store
+    }
+
+    ensureHome() {
+        try {
+            fs.mkdirSync(this.home, { recursive: true });
+        } catch (err) {
+            throw new StoreWriteError(this.home, err);
+        }
+    }
+
+    // Where a new project store is created: the enclosing git repo root, else cwd
+    projectFileTarget() {
+        return this.projectFile || findProjectFileTarget(this.cwd);
+    }
+
+    // --- Locking ---
+
+    // A lock is stale when its owner is gone or it's far too old. A lock file we can't parse yet
+    // may have just been created, so it only counts as stale once it's been around for a while.
+    isLockStale() {
+        try {
+            const { pid, createdAt } = JSON.parse(fs.readFileSync(this.lockFile, 'utf-8'));
+            if (Date.now() - createdAt > LOCK_STALE_MS) return true;
+            try {
+                process.kill(pid, 0);
+                return false;
+            } catch (err) {
+                return err.code === 'ESRCH';
+            }
+        } catch {
+            try {
+                return Date.now() - fs.statSync(this.lockFile).mtimeMs > 1000;
+            } catch {
+                return true; // Vanished in the meantime
+            }
+        }
+    }
+
+    releaseLock() {
+        if (this.lockDepth === 0) return;
+        this.lockDepth = 0;
+        lockedStores.delete(this);
+        try {
+            fs.unlinkSync(this.lockFile);
+        } catch {
+            // Already gone
+        }
+    }
+
+    // Run `fn` while holding the store lock. `fn` must be synchronous.
+    withLock(fn) {
+        this.ensureHome();
+        if (this.lockDepth > 0) {
+            this.lockDepth++;
+            try {
+                return fn();
+            } finally {
+                this.lockDepth--;
+            }
+        }
+
+        const deadline = Date.now() + LOCK_TIMEOUT_MS;
+        while (true) {
+            try {
+                const fd = fs.openSync(this.lockFile, 'wx');
+                fs.writeSync(fd, JSON.stringify({ pid: process.pid, createdAt: Date.now() }));
+                fs.closeSync(fd);
+                break;
+            } catch (err) {
+                if (err.code !== 'EEXIST') throw err;
+                if (this.isLockStale()) {
+                    try { fs.unlinkSync(this.lockFile); } catch { /* Someone else cleaned it up */ }
+                    continue;
+                }
+                if (Date.now() > deadline) throw new StoreLockError(this.lockFile);
+                sleepSync(50);
+            }
+        }
+
+        this.lockDepth = 1;
+        lockedStores.add(this);
+        try {
+            return fn();
+        } finally {
+            this.releaseLock();
+        }
+    }
+
+    // --- Snapshots ---
+    // Before a mutating write, the previous contents of every file about to change are saved to
+    // snapshots/. undo() rolls back the newest one, restoreSnapshot() any of the last MAX_SNAPSHOTS.
+    // Each profile has its own folder; snapshots of another commands file (a --store file, or a
+    // profile from before that) are left out, so undo never touches a store that isn't this one.
+
+    takeSnapshot(operation, filePaths) {
+        fs.mkdirSync(this.snapshotsDir, { recursive: true });
+        const snapshot = {
+            createdAt: new Date().toISOString(),
+            operation,
+            files: filePaths.map(filePath => ({
+                path: filePath,
+                content: fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf-8') : null // null = didn't exist
+            }))
+        };
+        // Zero-padded timestamp first, so file names sort chronologically
+        const name = `${String(Date.now()).padStart(15, '0')}-${process.pid}-${snapshotCounter++}-${operation}.json`;
+        writeFileAtomic(path.join(this.snapshotsDir, name), JSON.stringify(snapshot, null, 2));
+
+        this.listSnapshots().slice(MAX_SNAPSHOTS).forEach(old => fs.rmSync(old.file, { force: true }));
+    }
+
+    // Newest first, only those of this store (its commands file, and project files)
+    listSnapshots() {
+        if (!fs.existsSync(this.snapshotsDir)) return [];
+        const ownFile = (file) => file.path === this.commandsFile || path.basename(file.path) === PROJECT_FILE_NAME;
+        return fs.readdirSync(this.snapshotsDir)
+            .filter(name => name.endsWith('.json'))
+            .sort()
+            .reverse()
+            .map(name => {
+                const file = path.join(this.snapshotsDir, name);
+                try {
+                    return { file, ...JSON.parse(fs.readFileSync(file, 'utf-8')) };
+                } catch {
+                    return null; // Skip unreadable snapshots
+                }
+            })
+            .filter(snapshot => snapshot && Array.isArray(snapshot.files) && snapshot.files.every(ownFile));
+    }
+
+    // Roll back the newest snapshot and drop it. Returns the snapshot, or null if there is none.
+    undo() {
+        return this.withLock(() => {
+            const [latest] = this.listSnapshots();
+            if (!latest) return null;
+            this.restoreSnapshotFiles(latest);
+            fs.rmSync(latest.file, { force: true });
+            return latest;
+        });
+    }
+
+    // Go back to the state recorded in `snapshot` (from listSnapshots). The current state is
+    // snapshotted first, so the restore itself can be undone.
+    restoreSnapshot(snapshot) {
+        this.withLock(() => {
+            this.takeSnapshot('restore', snapshot.files.map(file => file.path));
+            this.restoreSnapshotFiles(snapshot);
+        });
+    }
+
+    // Write back the files of `snapshot`. A store file that can't be read right now was most
+    // likely damaged outside dumb: it's copied to <file>.corrupt-<time> first, so whatever it
+    // still holds can be recovered by hand.
+    restoreSnapshotFiles(snapshot) {
+        snapshot.files.forEach(({ path: filePath, content }) => {
+            try {
+                this.readStoreFile(filePath);
+            } catch (err) {
+                if (!(err instanceof StoreReadError)) throw err;
+                const copy = `${filePath}.corrupt-${Date.now()}`;
+                fs.copyFileSync(filePath, copy);
+                this.onWarning(`${filePath} could not be read; a copy was kept at ${copy}.`);
+            }
+            if (content === null) {
+                fs.rmSync(filePath, { force: true });
+            } else {
+                writeFileAtomic(filePath, content);
+            }
+        });
+    }
+
+    // --- Config ---
+
+    readConfig() {
+        if (!this.configFile || !fs.existsSync(this.configFile)) {
+            return { nextId: 1 }; // Start IDs from 1
+        }
+        try {
+            return JSON.parse(fs.readFileSync(this.configFile, 'utf-8'));
+        } catch (err) {
+            this.onWarning(`Could not read ${this.configFile} (${err.message}). Using defaults.`);
+            return { nextId: 1 };
+        }
+    }
+
+    writeConfig(config) {
+        if (!this.configFile) return;
+        try {
+            fs.mkdirSync(path.dirname(this.configFile), { recursive: true });
+            writeFileAtomic(this.configFile, JSON.stringify(config, null, 2));
+        } catch (err) {
+            this.onWarning(`Could not write ${this.configFile} (${err.message}).`);
+        }
+    }
+
+    // --- Reading and Writing ---
+
+    // The raw (migrated, not yet normalized) entries of one store file plus its on-disk schema
+    // version. Throws StoreReadError if the file exists but can't be used.
+    readStoreFile(filePath) {
+        if (!fs.existsSync(filePath)) {
+            return { version: SCHEMA_VERSION, commands: [] };
+        }
+        try {
+            const fileContent = fs.readFileSync(filePath, 'utf-8');
+            if (fileContent.trim() === '') {
+                return { version: SCHEMA_VERSION, commands: [] };
+            }
+            return migrateStoreData(JSON.parse(fileContent), filePath);
+        } catch (err) {
+            throw new StoreReadError(filePath, err instanceof SyntaxError
+                ? `Could not parse ${filePath}. It might be corrupted JSON.`
+                : `Error reading commands file at ${filePath}: ${err.message}`);
+        }
+    }
+
+    // Merged view of the project store (if any) and the global store. Project entries come
+    // first so their aliases win over global ones.
+    load() {
+        const projectCommands = this.projectFile ? normalizeCommands(this.readStoreFile(this.projectFile).commands, 'project') : [];
+        return [...projectCommands, ...normalizeCommands(this.readStoreFile(this.commandsFile).commands, 'global')];
+    }
+
+    // Write a merged list back, routing each entry to the store it came from.
+    // Entries without a scope (e.g. freshly imported ones) go to the global store.
+    // Only files whose content changes are written, after snapshotting them for undo.
+    write(commands, operation = 'write') {
+        this.withLock(() => {
+            commands.forEach(cmd => { if (!cmd.uid) cmd.uid = createUid(); }); // Older entries get theirs on the first write
+            const targets = [[this.commandsFile, commands.filter(cmd => cmd.scope !== 'project')]];
+            const projectCommands = commands.filter(cmd => cmd.scope === 'project');
+            if (projectCommands.length > 0 || this.projectFile) {
+                targets.push([this.projectFileTarget(), projectCommands]);
+            }
+
+            const changed = targets
+                .map(([filePath, fileCommands]) => [filePath, serializeCommands(fileCommands)])
+                .filter(([filePath, content]) => !fs.existsSync(filePath) || fs.readFileSync(filePath, 'utf-8') !== content);
+            if (changed.length === 0) return;
+
+            try {
+                this.takeSnapshot(operation, changed.map(([filePath]) => filePath));
+            } catch (err) {
+                this.onWarning(`Could not save an undo snapshot: ${err.message}`);
+            }
+            changed.forEach(([filePath, content]) => {
+                try {
+                    writeFileAtomic(filePath, content);
+                } catch (err) {
+                    throw new StoreWriteError(filePath, err);
+                }
+                if (filePath !== this.commandsFile) this.projectFile = filePath;
+            });
+        });
+    }
+
+    // Read-modify-write under the store lock. The mutator gets freshly read commands to change in
+    // place; returning false from it skips the write, throwing aborts it. Returns whatever the
+    // mutator returned.
+    modify(operation, mutator) {
+        return this.withLock(() => {
+            const commands = this.load();
+            const result = mutator(commands);
+            if (result !== false) this.write(commands, operation);
+            return result;
+        });
+    }
+
+    // Next ID for a new entry in `scope`, given the current `commands`.
+    // Project stores are shared through git, so their IDs come from the file itself rather than config.json.
+    // Global IDs never fall behind the highest stored ID, even if config.json was lost or reset.
+    nextId(scope = 'global', commands = []) {
+        return this.withLock(() => {
+            const maxId = commandsInScope(commands, scope).reduce((max, cmd) => Math.max(max, cmd.id), 0);
+            if (scope === 'project') {
+                return maxId + 1;
+            }
+            const config = this.readConfig();
+            const nextId = Math.max(Number(config.nextId) || 1, maxId + 1);
+            config.nextId = nextId + 1;
+            this.writeConfig(config);
+            return nextId;
+        });
+    }
+
+    // --- Commands ---
+
+    // The entry with this ID ("3", "p3") or alias. Throws NotFoundError.
+    resolve(specifier, commands = this.load()) {
+        const found = findCommandByIdOrAlias(specifier, commands);
+        if (!found) throw new NotFoundError(specifier);
+        return found.command;
+    }
+
+    // Commands matching a fuzzy query, best first (see rankCommands)
+    find(query = '', { usageCount } = {}) {
+        return rankCommands(this.load(), query, usageCount);
+    }
+
+    // Save a new entry to the global store, or the project store with `scope: 'project'`.
+    // `fields.env` may be an object or KEY=value assignments; unknown fields are kept as-is.
+    // Returns the saved entry. Throws ValidationError or AliasConflictError.
+    add(fields, { scope = 'global' } = {}) {
+        const { id, scope: ignoredScope, command, alias, comment, tags, cwd, env, protected: isProtected, ...extra } = fields;
+        const entry = cleanEntryFields({ command, alias, comment, tags, cwd, env, protected: isProtected });
+        const saved = this.modify('add', (commands) => {
+            // Checked against the latest store: another process may have taken the alias meanwhile
+            if (entry.alias && !isAliasUnique(entry.alias, commandsInScope(commands, scope))) {
+                throw new AliasConflictError(entry.alias);
+            }
+            const saved = { id: this.nextId(scope, commands), uid: createUid(), ...extra, ...entry, scope };
+            commands.push(saved);
+            return saved;
+        });
+        this.saveRevision(saved, 'add');
+        return saved;
+    }
+
+    // Apply `changes` to an entry (given by ID/alias or as read earlier). An `undefined` value
+    // removes that field; `alias`/`comment` false clears them. `operation` names the undo
+    // snapshot and the new revision. Returns the updated entry.
+    update(target, changes, { operation = 'edit' } = {}) {
+        const cmd = typeof target === 'object' ? target : this.resolve(target);
+        const cleaned = cleanEntryFields(changes, { partial: true });
+        return this.withLock(() => {
+            let before;
+            const updated = this.modify(operation, (commands) => {
+                const index = findSameCommandIndex(commands, cmd);
+                if (index === -1) throw new NotFoundError(formatId(cmd), `Command #${formatId(cmd)} was deleted meanwhile.`);
+                if (cleaned.alias && !isAliasUnique(cleaned.alias, commandsInScope(commands, cmd.scope), cmd.id)) {
+                    throw new AliasConflictError(cleaned.alias);
+                }
+                before = { ...commands[index] };
+                Object.assign(commands[index], cleaned);
+                // Cleared optional fields are dropped rather than stored empty
+                Object.keys(cleaned).filter(key => cleaned[key] === undefined).forEach(key => delete commands[index][key]);
+                return commands[index];
+            });
+            if (!sameFields(revisionFields(before), revisionFields(updated))) this.saveRevision(updated, operation, before);
+            return updated;
+        });
+    }
+
+    // Delete an entry (by ID/alias or as read earlier). Returns the removed entry.
+    remove(target) {
+        const cmd = typeof target === 'object' ? target : this.resolve(target);
+        return this.modify('delete', (commands) => {
+            const index = findSameCommandIndex(commands, cmd);
+            if (index === -1) throw new NotFoundError(formatId(cmd), `Command #${formatId(cmd)} no longer exists.`);
+            return commands.splice(index, 1)[0];
+        });
+    }
+
+    // --- Revisions ---
+
+    // Saved versions of an entry, oldest first: { rev, savedAt, operation, entry, verifiedAt, current }.
+    // `current` marks the newest one matching the entry as it is now (none may, see Revisions).
+    revisions(target) {
+        const cmd = typeof target === 'object' ? target : this.resolve(target);
+        if (!cmd.uid) return [];
+        const revisions = [];
+        this.readRevisionRecords(cmd.uid).forEach(record => {
+            if (record.entry) {
+                revisions.push({ rev: record.rev, savedAt: record.savedAt ?? null, operation: record.operation, entry: record.entry, verifiedAt: null, current: false });
+            } else if (record.verifiedAt) {
+                const verified = revisions.find(revision => revision.rev === record.rev);
+                if (verified) verified.verifiedAt = record.verifiedAt;
+            }
+        });
+        const current = [...revisions].reverse().find(revision => sameFields(revision.entry, revisionFields(cmd)));
+        if (current) current.current = true;
+        return revisions;
+    }
+
+    // Append `cmd`'s state as a new revision. `previous`, the state it was changed from, is saved
+    // first when it isn't the latest revision (see Revisions). Returns the new revision number.
+    saveRevision(cmd, operation, previous) {
+        return this.withLock(() => {
+            const revisions = this.revisions(cmd);
+            const latest = revisions[revisions.length - 1];
+            let rev = latest ? latest.rev : 0;
+            const records = [];
+            if (previous && !(latest && sameFields(latest.entry, revisionFields(previous)))) {
+                records.push({ uid: cmd.uid, rev: ++rev, savedAt: null, operation: latest ? 'external' : 'initial', entry: revisionFields(previous) });
+            }
+            records.push({ uid: cmd.uid, rev: ++rev, savedAt: new Date().toISOString(), operation, entry: revisionFields(cmd) });
+            this.appendRevisionRecords(records);
+            return rev;
+        });
+    }
+
+    // Mark the version of `cmd` that just ran successfully as verified (saving it as a revision if
+    // needed). Returns its revision number, or null for entries without a uid yet.
+    markVerified(cmd) {
+        if (!cmd.uid) return null;
+        return this.withLock(() => {
+            const revisions = this.revisions(cmd);
+            const current = revisions.find(revision => revision.current);
+            if (current?.verifiedAt) return current.rev;
+            const records = [];
+            let rev = current?.rev;
+            if (!current) {
+                rev = (revisions[revisions.length - 1]?.rev || 0) + 1;
+                records.push({ uid: cmd.uid, rev, savedAt: null, operation: revisions.length > 0 ? 'external' : 'initial', entry: revisionFields(cmd) });
+            }
+            records.push({ uid: cmd.uid, rev, verifiedAt: new Date().toISOString() });
+            this.appendRevisionRecords(records);
+            return rev;
+        });
+    }
+
+    // Make revision `rev` (a number, or "verified" for the newest verified one) the current
+    // version again, as a new revision, which keeps its verified mark. Throws ValidationError if
+    // there is no such revision.
+    revert(target, rev) {
+        const cmd = typeof target === 'object' ? target : this.resolve(target);
+        const revisions = this.revisions(cmd);
+        const revision = rev === 'verified'
+            ? [...revisions].reverse().find(candidate => candidate.verifiedAt)
+            : revisions.find(candidate => candidate.rev === Number(rev));
+        if (!revision) {
+            throw new ValidationError(rev === 'verified' ? `#${formatId(cmd)} has no verified revision yet.` : `#${formatId(cmd)} has no revision ${rev}.`);
+        }
+        // Fields the old version didn't have are removed
+        const cleared = Object.fromEntries(Object.keys(revisionFields(cmd)).map(key => [key, undefined]));
+        return this.withLock(() => {
+            const updated = this.update(cmd, { ...cleared, ...revision.entry }, { operation: 'revert' });
+            const current = revision.verifiedAt && this.revisions(updated).find(candidate => candidate.current);
+            if (current && !current.verifiedAt) this.appendRevisionRecords([{ uid: updated.uid, rev: current.rev, verifiedAt: revision.verifiedAt }]);
+            return updated;
+        });
+    }
+
+    // The file holding an entry's revisions. Uids come from files anyone can edit, so one that
+    // isn't a plain name is hashed.
+    revisionFile(uid) {
+        const name = /^[\w-]{1,100}$/.test(uid) ? uid : crypto.createHash('sha256').update(String(uid)).digest('hex');
+        return path.join(this.revisionsDir, `${name}.jsonl`);
+    }
+
+    // The records of one entry, in the order they were written (damaged lines are skipped)
+    readRevisionRecords(uid) {
+        this.splitLegacyRevisions();
+        const file = this.revisionFile(uid);
+        if (!fs.existsSync(file)) return [];
+        let lines;
+        try {
+            lines = fs.readFileSync(file, 'utf-8').split('\n');
+        } catch (err) {
+            throw new StoreReadError(file, `Could not read ${file}: ${err.message}`);
+        }
+        return lines.map(line => {
+            try {
+                return line.trim() ? JSON.parse(line) : null;
+            } catch {
+                return null;
+            }
+        }).filter(record => record && record.uid === uid);
+    }
+
+    // Append records (all of one entry), then drop its oldest versions beyond MAX_REVISIONS
+    appendRevisionRecords(records) {
+        const { uid } = records[0];
+        const file = this.revisionFile(uid);
+        this.withLock(() => {
+            const write = (fn) => {
+                try {
+                    fn();
+                } catch (err) {
+                    throw new StoreWriteError(file, err);
+                }
+            };
+            write(() => {
+                fs.mkdirSync(this.revisionsDir, { recursive: true });
+                fs.appendFileSync(file, records.map(record => JSON.stringify(record)).join('\n') + '\n');
+            });
+            const all = this.readRevisionRecords(uid);
+            const saved = all.filter(record => record.entry);
+            if (saved.length <= MAX_REVISIONS) return;
+            const verifiedRevs = new Set(all.filter(record => record.verifiedAt).map(record => record.rev));
+            const lastVerified = saved.filter(record => verifiedRevs.has(record.rev)).pop();
+            const keptRevs = new Set([...saved.slice(-MAX_REVISIONS), ...(lastVerified ? [lastVerified] : [])].map(record => record.rev));
+            write(() => writeFileAtomic(file, all.filter(record => keptRevs.has(record.rev)).map(record => JSON.stringify(record) + '\n').join('')));
+        });
+    }
+
+    // Move the records of <home>/revisions.jsonl (older DumbCLIs) to their per-entry files, once.
+    // An entry whose file already exists was moved by a run that got interrupted.
+    splitLegacyRevisions() {
+        const legacyFile = path.join(this.home, 'revisions.jsonl');
+        if (!fs.existsSync(legacyFile)) return;
+        this.withLock(() => {
+            if (!fs.existsSync(legacyFile)) return;
+            const linesByUid = new Map();
+            fs.readFileSync(legacyFile, 'utf-8').split('\n').forEach(line => {
+                try {
+                    const record = line.trim() && JSON.parse(line);
+                    if (record?.uid) linesByUid.set(record.uid, [...(linesByUid.get(record.uid) || []), line]);
+                } catch {
+                    // Damaged lines were skipped before too
+                }
+            });
+            try {
+                fs.mkdirSync(this.revisionsDir, { recursive: true });
+                linesByUid.forEach((lines, uid) => {
+                    const file = this.revisionFile(uid);
+                    if (!fs.existsSync(file)) writeFileAtomic(file, lines.join('\n') + '\n');
+                });
+                fs.rmSync(legacyFile);
+            } catch (err) {
+                throw new StoreWriteError(this.revisionsDir, err);
+            }
+        });
+    }
+
+    // Where a command runs: `~` expands to the home directory, and relative paths are taken from the
+    // project root for project commands (so they work from anywhere in the repo) or from cwd.
+    resolveCwd(cmd, cwd) {
+        const expanded = cwd.replace(/^~(?=$|\/|\\)/, os.homedir());
+        const base = cmd.scope === 'project' && this.projectFile ? path.dirname(this.projectFile) : this.cwd;
+        return path.resolve(base, expanded);
+    }
+
+    // Where `{sh:...}` placeholders of `cmd` run: its stored directory, unless that is missing,
+    // ignored (`here`) or depends on placeholders itself; otherwise the current one.
+    sourceCwd(cmd, { here = false } = {}) {
+        if (!cmd.cwd || here || parsePlaceholders(cmd.cwd).slots.length > 0) return this.cwd;
+        const dir = this.resolveCwd(cmd, cmd.cwd);
+        return fs.existsSync(dir) ? dir : this.cwd;
+    }
+
+    // Fill in an entry's placeholders (including those in its cwd/env) for one run. `args` are
+    // assigned like `dumb run` arguments (in order, or name=value), `values` by placeholder key;
+    // `{env:...}` and `{stdin}` resolve themselves and defaults cover the rest. `{sh:...}` commands
+    // only run with `runCommands: true` (they are arbitrary shell code from the store): otherwise
+    // their tokens stay in the result, listed in `pending`. Values are quoted for `shell` (null inserts them as-is), and `here`
+    // ignores the stored directory. Returns { command, cwd, env, values, slots, pending, extra }
+    // where `extra` lists unused args. Throws MissingValuesError if a placeholder has no value,
+    // ValidationError for a value that doesn't fit (see checkPlaceholderValue) or a source that
+    // fails (see resolvePlaceholderSources).
+    expand(target, { args = [], values = {}, shell = detectShell(), here = false, runCommands = false } = {}) {
+        const cmd = typeof target === 'object' ? target : this.resolve(target);
+        const { tokens, cwdTokens, envTokens, slots } = parseEntryPlaceholders(cmd);
+        const assigned = assignPlaceholderValues(slots, args, values);
+        Object.assign(assigned.values, resolvePlaceholderSources(slots, assigned.values, { cwd: this.sourceCwd(cmd, { here }), runCommands }));
+        assigned.missing.filter(slot => slot.defaultValue !== undefined && !(slot.key in assigned.values)).forEach(slot => { assigned.values[slot.key] = slot.defaultValue; });
+        const pending = slots.filter(slot => slot.source === 'sh' && !(slot.key in assigned.values));
+        const missing = slots.filter(slot => !(slot.key in assigned.values) && !pending.includes(slot));
+        if (missing.length > 0) throw new MissingValuesError(missing);
+
+        const filled = assigned.values;
+        const cwd = cmd.cwd && !here ? this.resolveCwd(cmd, fillPlaceholders(cmd.cwd, cwdTokens, filled)) : null;
+        slots.filter(slot => slot.key in filled).forEach(slot => {
+            const problem = checkPlaceholderValue(slot, filled[slot.key], { cwd: cwd || this.cwd });
+            if (problem) throw new ValidationError(problem);
+        });
+        return {
+            // Expand tilde ~ (more robustly)
+            command: fillPlaceholders(cmd.command, tokens, filled, shell).replace(/^~(?=$|\/|\\)/, os.homedir()),
+            // Working directory and environment (values are passed as-is, no shell quoting needed)
+            cwd,
+            env: cmd.env && Object.keys(cmd.env).length > 0
+                ? Object.fromEntries(Object.entries(cmd.env).map(([key, value]) => [key, fillPlaceholders(String(value), envTokens[key], filled)]))
+                : null,
+            values: filled,
+            slots,
+            pending,
+            extra: assigned.extra
+        };
+    }
+
+    // --- Import / Export ---
+
+    // What importing `importedCommands` (e.g. from readImportFile) would do, without writing.
+    // `mode` is 'replace' (the global store), 'append' or 'merge'; `decideConflict(conflict)`
+    // returns one of IMPORT_CONFLICT_POLICIES per alias clash. Returns { result, changes, nextId }.
+    planImport(importedCommands, { mode = 'replace', decideConflict = () => 'skip' } = {}) {
+        const globalCommands = commandsInScope(this.load(), 'global');
+        return planImport(globalCommands, importedCommands, { mode, nextId: firstFreeId(globalCommands, this.readConfig()), decideConflict });
+    }
+
+    // Import into the global store (project entries are carried over untouched). The plan is
+    // made again on a fresh read under the lock, so it can't drift from what's written.
+    importCommands(importedCommands, { mode = 'replace', decideConflict = () => 'skip' } = {}) {
+        return this.modify('import', (commands) => {
+            const projectCommands = commandsInScope(commands, 'project');
+            const globalCommands = commandsInScope(commands, 'global');
+            const config = this.readConfig();
+            const plan = planImport(globalCommands, importedCommands, { mode, nextId: firstFreeId(globalCommands, config), decideConflict });
+            // Update the nextId in config AFTER processing all imports
+            this.writeConfig({ ...config, nextId: plan.nextId });
+            commands.splice(0, commands.length, ...projectCommands, ...plan.result);
+            return plan;
+        });
+    }
+
+    // All commands, or those named in `ids` (array or comma/space-separated) and/or matching
+    // `query`, sorted project first. Throws NotFoundError for an unknown ID or alias.
+    select({ ids, query } = {}) {
+        let commands = this.load();
+        if (ids) {
+            const selected = [];
+            for (const specifier of (Array.isArray(ids) ? ids : String(ids).split(/[\s,]+/)).filter(Boolean)) {
+                const cmd = this.resolve(specifier, commands);
+                if (!selected.includes(cmd)) selected.push(cmd);
+            }
+            commands = selected;
+        }
+        if (query) {
+            const matches = rankCommands(commands, query);
+            commands = commands.filter(cmd => matches.includes(cmd));
+        }
+        return commands.sort(compareCommands);
+    }
+
+    // Render the selected commands (see select) in one of EXPORT_FORMATS.
+    // Returns { content, extension, commands }; `content` is empty when nothing was selected.
+    exportCommands({ format = 'json', ids, query } = {}) {
+        const exporter = EXPORT_FORMATS[format];
+        if (!exporter) throw new ValidationError(`Unknown export format "${format}". Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}.`);
+        const commands = this.select({ ids, query });
+        // JSON and YAML are read back by import, where local IDs mean nothing: steps go by uid there
+        const all = this.load();
+        const entries = format !== 'json' && format !== 'yaml' ? commands : commands.map(cmd => {
+            if (!Array.isArray(cmd.steps)) return cmd;
+            const steps = toUidRefs(cmd.steps, all);
+            return { ...cmd, steps, command: summarizeWorkflow(steps) };
+        });
+        return { content: commands.length > 0 ? exporter.render(entries) : '', extension: exporter.extension, commands };
+    }
+
+    // --- Sync ---
+
+    // Merge this profile's global commands with the copy in the git repository at `remote` (needed
+    // the first time; later calls reuse it), then commit and push the result. Runs the 3-way merge
+    // described at mergeCommandSets; with unresolved conflicts it throws SyncConflictError before
+    // writing anything. Returns { added, updated, removed, notes, committed } (counts are changes
+    // to the local store, notes mention renamed aliases).
+    sync({ remote, resolveConflict } = {}) {
+        if (!this.profile) throw new SyncError('Sync works on profiles; it cannot be used with a custom commands file.');
+        const file = `${this.profile}.json`;
+        const git = (...args) => runGit(this.syncDir, args);
+
+        return this.withLock(() => {
+            if (!fs.existsSync(path.join(this.syncDir, '.git'))) {
+                if (!remote) throw new SyncError('No sync repository yet. Pass the git remote to use the first time.');
+                const source = fs.existsSync(remote) ? path.resolve(remote) : remote; // Local repos may be given relative
+                runGit(this.home, ['clone', '--quiet', source, this.syncDir]);
+            } else if (remote) {
+                git('remote', 'set-url', 'origin', fs.existsSync(remote) ? path.resolve(remote) : remote);
+            }
+            git('fetch', '--quiet', 'origin');
+
+            // base: what this machine last synced (a private ref in the clone, moved after each
+            // successful push); empty the first time, so nothing counts as deleted then
+            const branch = git('symbolic-ref', '--short', 'HEAD');
+            const syncedRef = `refs/dumbcli/synced/${this.profile}`;
+            const remoteRef = tryGit(this.syncDir, ['rev-parse', '--verify', '--quiet', `origin/${branch}`]);
+            const localRef = tryGit(this.syncDir, ['rev-parse', '--verify', '--quiet', 'HEAD']);
+            const baseRef = tryGit(this.syncDir, ['rev-parse', '--verify', '--quiet', syncedRef]);
+            const readAt = (ref) => {
+                const content = ref && tryGit(this.syncDir, ['show', `${ref}:${file}`]);
+                if (!content) return [];
+                try {
+                    return migrateStoreData(JSON.parse(content), `${file} in the sync repository`).commands
+                        .filter(entry => entry && typeof entry === 'object')
+                        .map(entry => entry.uid ? entry : { ...entry, uid: createUid() });
+                } catch (err) {
+                    throw new SyncError(err instanceof DumbError ? err.message : `${file} in the sync repository is not valid JSON: ${err.message}`);
+                }
+            };
+            const baseEntries = readAt(baseRef);
+            const remoteEntries = readAt(remoteRef);
+
+            const commands = this.load();
+            const globalCommands = commandsInScope(commands, 'global');
+            const seenUids = new Set();
+            globalCommands.forEach(cmd => { // Entries from before sync (or copied by hand) get their own uid
+                if (!cmd.uid || seenUids.has(cmd.uid)) cmd.uid = createUid();
+                seenUids.add(cmd.uid);
+            });
+            const localEntries = toSyncEntries(globalCommands);
+            const mergeResult = mergeCommandSets(baseEntries, localEntries, remoteEntries, resolveConflict);
+            if (mergeResult.unresolved.length > 0) throw new SyncConflictError(mergeResult.unresolved);
+
+            // Two machines may have picked the same alias for different commands: the one here keeps it
+            const notes = [];
+            const takenAliases = new Set();
+            const merged = mergeResult.merged.map(entry => {
+                if (!entry.alias) return entry;
+                let alias = entry.alias;
+                for (let suffix = 2; takenAliases.has(alias.toLowerCase()); suffix++) alias = `${entry.alias}-${suffix}`;
+                takenAliases.add(alias.toLowerCase());
+                if (alias === entry.alias) return entry;
+                notes.push(`alias "${entry.alias}" was taken, "${entry.command}" is now "${alias}"`);
+                return { ...entry, alias };
+            });
+
+            const config = this.readConfig();
+            const { commands: synced, nextId } = fromSyncEntries(merged, globalCommands, firstFreeId(globalCommands, config));
+            const localByUid = new Map(localEntries.map(entry => [entry.uid, entry]));
+            const mergedUids = new Set(merged.map(entry => entry.uid));
+            const summary = {
+                added: merged.filter(entry => !localByUid.has(entry.uid)).length,
+                updated: merged.filter(entry => localByUid.has(entry.uid) && diffFields(localByUid.get(entry.uid), entry).length > 0).length,
+                removed: localEntries.filter(entry => !mergedUids.has(entry.uid)).length,
+                notes
+            };
+            if (nextId !== firstFreeId(globalCommands, config)) this.writeConfig({ ...config, nextId });
+            this.write([...commandsInScope(commands, 'project'), ...synced], 'sync');
+
+            // Commit on top of the remote state and publish
+            if (remoteRef) git('reset', '--quiet', '--hard', remoteRef);
+            const syncEntries = toSyncEntries(synced).sort((a, b) => a.uid.localeCompare(b.uid)); // Stable order, small diffs
+            writeFileAtomic(path.join(this.syncDir, file), JSON.stringify({ version: SCHEMA_VERSION, commands: syncEntries }, null, 2) + '\n');
+            git('add', file);
+            summary.committed = tryGit(this.syncDir, ['diff', '--cached', '--quiet']) === null; // Exits non-zero when there is something to commit
+            if (summary.committed) {
+                const identity = tryGit(this.syncDir, ['config', 'user.email']) ? [] : ['-c', 'user.name=DumbCLI', '-c', `user.email=dumbcli@${os.hostname()}`];
+                git(...identity, 'commit', '--quiet', '-m', `Sync ${this.profile} from ${os.hostname()}`);
+            }
+            if (summary.committed || (localRef && localRef !== remoteRef)) {
+                try {
+                    git('push', '--quiet', '-u', 'origin', 'HEAD');
+                } catch (err) {
+                    throw new SyncError(`${err.message} Your commands were merged locally; sync again to publish them.`);
+                }
+            }
+            if (tryGit(this.syncDir, ['rev-parse', '--verify', '--quiet', 'HEAD'])) git('update-ref', syncedRef, 'HEAD');
+            return summary;
+        });
+    }
+}
+
+// Validate and tidy the user-editable fields of an entry (for add, or an update with `partial`,
+// where only the fields present are touched). Cleared optional fields come back as undefined.
+const cleanEntryFields = (fields, { partial = false } = {}) => {
+    const cleaned = {};
+    const has = (key) => !partial || key in fields;
+    if (has('command')) {
+        const command = typeof fields.command === 'string' ? fields.command.trim() : '';
+        if (!command) throw new ValidationError('Command cannot be empty.');
+        cleaned.command = command;
+    }
+    if (has('alias')) {
+        const alias = fields.alias ? String(fields.alias).trim() : '';
+        if (/\s|:/.test(alias)) throw new ValidationError('Alias cannot contain spaces or colons.');
+        cleaned.alias = alias || false;
+    }
+    if (has('comment')) cleaned.comment = (fields.comment && String(fields.comment).trim()) || false;
+    if (has('tags')) cleaned.tags = normalizeTags(fields.tags);
+    if (has('cwd')) cleaned.cwd = (fields.cwd && String(fields.cwd).trim()) || undefined;
+    if (has('env')) {
+        const env = fields.env && typeof fields.env === 'object' && !Array.isArray(fields.env) ? fields.env : parseEnvAssignments(fields.env);
+        cleaned.env = Object.keys(env).length > 0 ? env : undefined;
+    }
+    if (has('protected')) cleaned.protected = fields.protected ? true : undefined;
+    // Keep everything else (type, steps, onFailure...) as given
+    Object.keys(fields).filter(key => !(key in cleaned)).forEach(key => { cleaned[key] = fields[key]; });
+    if (!partial) Object.keys(cleaned).filter(key => cleaned[key] === undefined).forEach(key => delete cleaned[key]);
+    return cleaned;
+};
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findDangers } from '../index.js';
+
+const dangers = (command, rules) => findDangers(command, rules).map(rule => rule.name);
+
+test('findDangers flags destructive commands', () => {
+    assert.deepEqual(dangers('rm -rf build'), ['recursive-delete']);
+    assert.deepEqual(dangers('sudo rm -r --no-preserve-root /'), ['recursive-delete', 'root-target']);
+    assert.deepEqual(dangers('dd if=disk.img of=/dev/sdb bs=4M'), ['raw-write']);
+    assert.deepEqual(dangers('git push --force origin main'), ['force-push']);
+    assert.deepEqual(dangers('git push -f'), ['force-push']);
+    assert.deepEqual(dangers('git reset --hard HEAD~1'), ['discard-changes']);
+    assert.deepEqual(dangers('psql -c "drop table users"'), ['sql-drop']);
+    assert.deepEqual(dangers('kubectl -n prod delete pod api-0'), ['kubectl-delete']);
+    assert.deepEqual(dangers('Remove-Item .\\out -Recurse'), ['recursive-delete']);
+});
+
+test('findDangers leaves ordinary commands alone', () => {
+    for (const command of ['rm build.log', 'git push origin main', 'ls -la /', 'kubectl get pods', 'git clean -n', 'chmod +x ./run.sh']) {
+        assert.deepEqual(dangers(command), [], command);
+    }
+});
+
+test('findDangers sees through empty quotes left by empty values', () => {
+    assert.deepEqual(dangers("rm -f ''/"), ['root-target']);
+    assert.deepEqual(dangers('chmod 777 ""~/'), ['root-target']);
+});
+
+test('findDangers checks the rules it is given', () => {
+    const rules = [{ name: 'terraform', pattern: /\bterraform\s+destroy\b/, reason: 'destroys infrastructure' }];
+    assert.deepEqual(dangers('terraform destroy', rules), ['terraform']);
+    assert.deepEqual(dangers('rm -rf build', rules), []);
+});
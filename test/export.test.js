@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const cli = fileURLToPath(new URL('../cli.js', import.meta.url));
+
+// Run `dumb` against a throwaway store in `home`, from inside `home`
+const dumb = (home, ...args) => spawnSync(process.execPath, [cli, ...args], {
+    cwd: home,
+    env: { ...process.env, DUMBCLI_HOME: home },
+    encoding: 'utf-8',
+    stdio: ['ignore', 'pipe', 'pipe']
+});
+
+const withStore = (run) => {
+    const home = fs.mkdtempSync(path.join(os.tmpdir(), 'dumbcli-test-'));
+    try {
+        assert.equal(dumb(home, 'add', '--command', 'echo hello {who}', '--alias', 'hi').status, 0);
+        run(home);
+    } finally {
+        fs.rmSync(home, { recursive: true, force: true });
+    }
+};
+
+for (const outArgs of [['--out', '-'], ['-o', '-'], ['--out=-']]) {
+    test(`export ${outArgs.join(' ')} prints to stdout`, () => withStore((home) => {
+        const result = dumb(home, 'export', '--to', 'bash', ...outArgs);
+        assert.equal(result.status, 0, result.stderr);
+        assert.match(result.stdout, /^hi\(\) \{$/m);
+        assert.deepEqual(fs.readdirSync(home).filter(name => name.startsWith('dumbcli_export_')), []);
+    }));
+}
+
+test('export --out without a value is an error', () => withStore((home) => {
+    const result = dumb(home, 'export', '--out');
+    assert.notEqual(result.status, 0);
+    assert.match(result.stderr, /Not enough arguments following: out/);
+}));
@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planImport, mergeCommandSets, ValidationError } from '../index.js';
+
+const entry = (id, command, fields = {}) => ({ id, uid: `uid-${id}`, command, alias: false, comment: false, tags: [], scope: 'global', ...fields });
+
+const local = () => [entry(1, 'git status', { alias: 'st' }), entry(2, 'npm test', { alias: 't' })];
+
+test('append gives imported entries new IDs after the existing ones', () => {
+    const { result, changes, nextId } = planImport(local(), [{ id: 1, uid: 'other', command: 'ls -la', alias: 'l' }], { mode: 'append', nextId: 3 });
+    assert.deepEqual(result.map(cmd => [cmd.id, cmd.command, cmd.alias]), [[1, 'git status', 'st'], [2, 'npm test', 't'], [3, 'ls -la', 'l']]);
+    assert.equal(result[2].uid, 'other');
+    assert.deepEqual(changes.map(change => change.type), ['add']);
+    assert.equal(nextId, 4);
+});
+
+test('replace drops what was there', () => {
+    const { result, changes } = planImport(local(), [{ command: 'ls' }], { mode: 'replace', nextId: 1 });
+    assert.deepEqual(result.map(cmd => [cmd.id, cmd.command]), [[1, 'ls']]);
+    assert.deepEqual(changes.map(change => change.type), ['remove', 'remove', 'add']);
+});
+
+test('alias conflicts are skipped, renamed or taken over as decided', () => {
+    const imported = [{ command: 'git stash', alias: 'st' }];
+    const plan = (policy) => {
+        const asked = [];
+        const planned = planImport(local(), imported, { mode: 'append', nextId: 3, decideConflict: (conflict) => { asked.push(conflict); return policy; } });
+        assert.equal(asked.length, 1);
+        assert.equal(asked[0].alias, 'st');
+        assert.equal(asked[0].holder.id, 1);
+        return planned.result;
+    };
+    assert.deepEqual(plan('skip').map(cmd => cmd.alias), ['st', 't', false]);
+    assert.deepEqual(plan('rename').map(cmd => cmd.alias), ['st', 't', 'st-2']);
+    assert.deepEqual(plan('overwrite').map(cmd => cmd.alias), [false, 't', 'st']);
+});
+
+test('merge updates matching entries in place and keeps their ID and uid', () => {
+    const imported = [
+        { id: 7, uid: 'elsewhere', command: 'git   status', comment: 'working tree', tags: ['git'] },
+        { id: 8, uid: 'uid-2', command: 'npm test -- --watch', comment: false }
+    ];
+    const { result, changes } = planImport(local(), imported, { mode: 'merge', nextId: 3 });
+    assert.equal(result.length, 2);
+    assert.deepEqual(result[0], entry(1, 'git status', { alias: 'st', comment: 'working tree', tags: ['git'] }));
+    assert.equal(result[1].command, 'npm test -- --watch'); // Matched by uid: the imported text wins
+    assert.equal(result[1].uid, 'uid-2');
+    assert.deepEqual(changes.map(change => change.type), ['update', 'update']);
+    assert.deepEqual(planImport(result, imported, { mode: 'merge', nextId: 3 }).changes.map(change => change.type), ['unchanged', 'unchanged']);
+});
+
+test('workflow steps are pointed at the IDs their commands get here', () => {
+    const imported = [
+        { id: 1, uid: 'build-uid', command: 'make' },
+        { id: 2, type: 'workflow', alias: 'ship', command: 'workflow: ...', steps: [{ ref: 'uid:build-uid' }, { ref: 'uid:uid-2', args: ['x=1'] }, { run: 'echo done' }] }
+    ];
+    const { result } = planImport(local(), imported, { mode: 'append', nextId: 3 });
+    const workflow = result.find(cmd => cmd.alias === 'ship');
+    assert.deepEqual(workflow.steps, [{ ref: '3' }, { ref: '2', args: ['x=1'] }, { run: 'echo done' }]);
+    assert.equal(workflow.command, 'workflow: 3 → 2 x=1 → sh:echo done');
+});
+
+test('older files with ID step refs are mapped through the file', () => {
+    const imported = [
+        { id: 1, command: 'make' },
+        { id: 2, type: 'workflow', command: 'workflow: 1', steps: [{ ref: '1' }] }
+    ];
+    const { result } = planImport(local(), imported, { mode: 'append', nextId: 3 });
+    assert.deepEqual(result.find(cmd => cmd.type === 'workflow').steps, [{ ref: '3' }]);
+});
+
+test('a step pointing at a command that is nowhere is rejected', () => {
+    const imported = [{ type: 'workflow', alias: 'ship', command: 'workflow: ...', steps: [{ ref: 'uid:gone' }] }];
+    assert.throws(() => planImport(local(), imported, { mode: 'append', nextId: 3 }), (err) =>
+        err instanceof ValidationError && /Workflow "ship": step 1 points at uid:gone/.test(err.message));
+});
+
+test('mergeCommandSets takes one-sided changes and combines different fields', () => {
+    const base = [{ uid: 'a', command: 'ls', comment: false }, { uid: 'b', command: 'pwd' }, { uid: 'c', command: 'date' }];
+    const mine = [{ uid: 'a', command: 'ls -la', comment: false }, { uid: 'b', command: 'pwd' }, { uid: 'c', command: 'date' }, { uid: 'd', command: 'whoami' }];
+    const theirs = [{ uid: 'a', command: 'ls', comment: 'list' }, { uid: 'c', command: 'date' }];
+    const { merged, unresolved } = mergeCommandSets(base, mine, theirs);
+    assert.deepEqual(unresolved, []);
+    assert.deepEqual(merged, [
+        { uid: 'a', command: 'ls -la', comment: 'list' },
+        { uid: 'c', command: 'date' },
+        { uid: 'd', command: 'whoami' }
+    ]);
+});
+
+test('mergeCommandSets asks about fields changed on both sides', () => {
+    const base = [{ uid: 'a', command: 'ls' }, { uid: 'b', command: 'pwd' }];
+    const mine = [{ uid: 'a', command: 'ls -la' }, { uid: 'b', command: 'pwd -P' }];
+    const theirs = [{ uid: 'a', command: 'ls -1' }];
+
+    const left = mergeCommandSets(base, mine, theirs);
+    assert.deepEqual(left.unresolved.map(conflict => [conflict.uid, conflict.fields]), [['a', ['command']], ['b', ['deleted']]]);
+
+    const asked = [];
+    const resolved = mergeCommandSets(base, mine, theirs, (conflict) => {
+        asked.push(conflict.uid);
+        return conflict.uid === 'a' ? 'remote' : 'local';
+    });
+    assert.deepEqual(asked, ['a', 'b']);
+    assert.deepEqual(resolved.unresolved, []);
+    assert.deepEqual(resolved.merged, [{ uid: 'a', command: 'ls -1' }, { uid: 'b', command: 'pwd -P' }]);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    parsePlaceholders, fillPlaceholders, assignPlaceholderValues, resolvePlaceholderSources, findReservedPlaceholders
+} from '../index.js';
+
+const fill = (command, values, shell = null) => fillPlaceholders(command, parsePlaceholders(command).tokens, values, shell);
+
+test('parsePlaceholders finds named, anonymous and raw placeholders', () => {
+    const { tokens, slots } = parsePlaceholders('scp {} {host:localhost}:{dir} {!flags} {host}');
+    assert.deepEqual(slots, [
+        { key: '#1', name: null, defaultValue: undefined },
+        { key: 'host', name: 'host', defaultValue: 'localhost' },
+        { key: 'dir', name: 'dir', defaultValue: undefined },
+        { key: 'flags', name: 'flags', defaultValue: undefined }
+    ]);
+    assert.deepEqual(tokens.map(token => [token.token, token.key, token.raw]), [
+        ['{}', '#1', false], ['{host:localhost}', 'host', false], ['{dir}', 'dir', false], ['{!flags}', 'flags', true], ['{host}', 'host', false]
+    ]);
+});
+
+test('parsePlaceholders leaves shell expansions and brace groups alone', () => {
+    assert.deepEqual(parsePlaceholders('echo ${HOME} | awk \'{print $1}\' && f() { ls; }').slots, []);
+});
+
+test('parsePlaceholders reads the special forms', () => {
+    const { slots } = parsePlaceholders('kubectl -n {choice:dev | prod} logs {sh:kubectl get pods -o name} -f {file:app.log} {env:USER} {stdin}');
+    assert.deepEqual(slots, [
+        { key: 'choice:dev | prod', name: null, choices: ['dev', 'prod'] },
+        { key: 'sh:kubectl get pods -o name', name: null, source: 'sh', argument: 'kubectl get pods -o name' },
+        { key: 'file', name: null, defaultValue: 'app.log', mustExist: true },
+        { key: 'env:USER', name: null, source: 'env', argument: 'USER' },
+        { key: 'stdin', name: null, source: 'stdin', defaultValue: undefined }
+    ]);
+});
+
+test('{env}, {sh} and {choice} without an argument are ordinary placeholders, and get pointed out', () => {
+    const command = 'deploy --env {env} {choice} {sh:date} {name}';
+    assert.deepEqual(parsePlaceholders(command).slots.filter(slot => slot.name).map(slot => slot.name), ['env', 'choice', 'name']);
+    assert.deepEqual(findReservedPlaceholders(command).map(slot => slot.name), ['env', 'choice']);
+    assert.deepEqual(findReservedPlaceholders('echo {env:HOME} {file}'), []);
+});
+
+test('fillPlaceholders quotes values for the shell and the surrounding quotes', () => {
+    assert.equal(fill('echo {msg}', { msg: "it's here" }, 'posix'), `echo 'it'\\''s here'`);
+    assert.equal(fill('echo "{msg}"', { msg: 'a "b" $c' }, 'posix'), 'echo "a \\"b\\" \\$c"');
+    assert.equal(fill("echo '{msg}'", { msg: "it's" }, 'posix'), `echo 'it'\\''s'`);
+    assert.equal(fill('ls {!flags} {dir}', { flags: '-l -a', dir: 'My Docs' }, 'posix'), "ls -l -a 'My Docs'");
+    assert.equal(fill('echo {msg}', { msg: 'a b' }), 'echo a b');
+});
+
+test('fillPlaceholders keeps tokens without a value as written', () => {
+    assert.equal(fill('echo {a} {sh:date} {}', { a: 1, '#1': 'x' }, 'posix'), 'echo 1 {sh:date} x');
+});
+
+test('assignPlaceholderValues fills name=value pairs first, then the rest in order', () => {
+    const { slots } = parsePlaceholders('git push {remote:origin} {branch} {env:USER}');
+    const { values, missing, extra } = assignPlaceholderValues(slots, ['branch=main', 'upstream', 'extra']);
+    assert.deepEqual(values, { branch: 'main', remote: 'upstream' });
+    assert.deepEqual(missing.map(slot => slot.key), ['env:USER']);
+    assert.deepEqual(extra, ['extra']);
+});
+
+test('resolvePlaceholderSources reads variables and stdin, and runs commands only when asked', () => {
+    const { slots } = parsePlaceholders('echo {env:NAME} {stdin} {sh:echo hi}');
+    const options = { env: { NAME: 'dumb' }, readStdin: () => 'piped\n' };
+    assert.deepEqual(resolvePlaceholderSources(slots, {}, options), { 'env:NAME': 'dumb', stdin: 'piped' });
+    assert.deepEqual(resolvePlaceholderSources(slots, {}, { ...options, runCommands: true }), { 'env:NAME': 'dumb', stdin: 'piped', 'sh:echo hi': 'hi' });
+    assert.throws(() => resolvePlaceholderSources(slots, {}, { env: {}, readStdin: () => null }), /NAME is not set/);
+});
@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    CommandStore, NotFoundError, AliasConflictError, ValidationError, StoreReadError, MissingValuesError, diffWords
+} from '../index.js';
+
+// A store in a throwaway home, with no project store around it
+const withStore = (run) => {
+    const home = fs.mkdtempSync(path.join(os.tmpdir(), 'dumbcli-test-'));
+    try {
+        run(new CommandStore({ home, cwd: home, projectFile: null }), home);
+    } finally {
+        fs.rmSync(home, { recursive: true, force: true });
+    }
+};
+
+test('add saves entries with increasing IDs and a uid', () => withStore((store) => {
+    const first = store.add({ command: '  git status  ', alias: 'st', tags: 'git, status' });
+    const second = store.add({ command: 'ls -la' });
+    assert.equal(first.id, 1);
+    assert.equal(second.id, 2);
+    assert.ok(first.uid && first.uid !== second.uid);
+    assert.equal(first.command, 'git status');
+    assert.deepEqual(first.tags, ['git', 'status']);
+    assert.equal(second.alias, false);
+    assert.deepEqual(store.load().map(cmd => cmd.command), ['git status', 'ls -la']);
+    assert.equal(store.resolve('st').id, 1);
+    assert.equal(store.resolve('2').command, 'ls -la');
+}));
+
+test('add rejects empty commands, bad aliases and aliases in use', () => withStore((store) => {
+    store.add({ command: 'git status', alias: 'st' });
+    assert.throws(() => store.add({ command: '   ' }), ValidationError);
+    assert.throws(() => store.add({ command: 'ls', alias: 'two words' }), ValidationError);
+    assert.throws(() => store.add({ command: 'ls', alias: 'ST' }), (err) => err instanceof AliasConflictError && err.code === 'ALIAS_CONFLICT');
+    assert.equal(store.load().length, 1);
+}));
+
+test('update changes fields, clears them and keeps aliases unique', () => withStore((store) => {
+    store.add({ command: 'git status', alias: 'st', comment: 'status', cwd: '~/src' });
+    store.add({ command: 'ls', alias: 'l' });
+    const updated = store.update('st', { command: 'git status -s', comment: false, cwd: undefined });
+    assert.equal(updated.command, 'git status -s');
+    assert.equal(updated.comment, false);
+    assert.ok(!('cwd' in store.resolve('st')));
+    assert.throws(() => store.update('st', { alias: 'l' }), AliasConflictError);
+    assert.throws(() => store.update('st', { command: '' }), ValidationError);
+    assert.throws(() => store.update('nope', { comment: 'x' }), (err) => err instanceof NotFoundError && err.code === 'NOT_FOUND');
+}));
+
+test('remove deletes the entry, and fails for one that is gone', () => withStore((store) => {
+    const saved = store.add({ command: 'git status', alias: 'st' });
+    assert.equal(store.remove('st').uid, saved.uid);
+    assert.deepEqual(store.load(), []);
+    assert.throws(() => store.remove(saved), NotFoundError);
+    assert.throws(() => store.resolve('st'), NotFoundError);
+}));
+
+test('undo rolls back the last change', () => withStore((store) => {
+    store.add({ command: 'git status' });
+    store.remove('1');
+    assert.ok(store.undo());
+    assert.deepEqual(store.load().map(cmd => cmd.command), ['git status']);
+}));
+
+test('a corrupted store is reported, not overwritten', () => withStore((store) => {
+    fs.writeFileSync(store.commandsFile, '{ "commands": [');
+    assert.throws(() => store.load(), (err) => err instanceof StoreReadError && err.filePath === store.commandsFile);
+    assert.throws(() => store.add({ command: 'ls' }), StoreReadError);
+    assert.equal(fs.readFileSync(store.commandsFile, 'utf-8'), '{ "commands": [');
+}));
+
+test('profiles keep their own commands and undo history', () => withStore((store, home) => {
+    const work = new CommandStore({ home, cwd: home, projectFile: null, profile: 'work' });
+    store.add({ command: 'echo default' });
+    work.add({ command: 'echo work' });
+    assert.ok(store.undo());
+    assert.deepEqual(store.load(), []);
+    assert.deepEqual(work.load().map(cmd => cmd.command), ['echo work']);
+}));
+
+test('expand fills values and leaves {sh:...} unrun unless asked', () => withStore((store, home) => {
+    const marker = path.join(home, 'ran');
+    store.add({ command: `echo {greeting:hello} {who} {sh:touch ${marker}; echo done}`, alias: 'hi' });
+    assert.throws(() => store.expand('hi', { shell: 'posix' }), MissingValuesError);
+
+    const expanded = store.expand('hi', { args: ['who=world'], shell: 'posix' });
+    assert.equal(expanded.command, `echo hello world {sh:touch ${marker}; echo done}`);
+    assert.equal(expanded.pending.length, 1);
+    assert.equal(fs.existsSync(marker), false);
+
+    const run = store.expand('hi', { args: ['hi', 'a b'], shell: 'posix', runCommands: true });
+    assert.equal(run.command, `echo hi 'a b' done`);
+    assert.deepEqual(run.pending, []);
+}));
+
+test('revert brings back an earlier version, verified mark included', () => withStore((store) => {
+    const saved = store.add({ command: 'make build' });
+    store.markVerified(saved);
+    store.update(saved, { command: 'make build -j' });
+    const [first] = store.revisions(saved);
+    assert.equal(first.entry.command, 'make build');
+    assert.ok(first.verifiedAt);
+
+    store.revert(saved, first.rev);
+    const revisions = store.revisions(saved);
+    assert.equal(store.resolve('1').command, 'make build');
+    assert.ok(revisions[revisions.length - 1].current);
+    assert.ok(revisions[revisions.length - 1].verifiedAt);
+}));
+
+test('diffWords marks added and removed words', () => {
+    assert.deepEqual(diffWords('git push origin main', 'git push --force origin main'), [
+        { type: 'same', text: 'git push ' },
+        { type: 'added', text: '--force ' },
+        { type: 'same', text: 'origin main' }
+    ]);
+    assert.deepEqual(diffWords('rm -r build', 'rm build'), [
+        { type: 'same', text: 'rm ' },
+        { type: 'removed', text: '-r ' },
+        { type: 'same', text: 'build' }
+    ]);
+    assert.deepEqual(diffWords('', 'ls'), [{ type: 'added', text: 'ls' }]);
+    assert.deepEqual(diffWords('same', 'same'), [{ type: 'same', text: 'same' }]);
+});